@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+import { createWriteStream } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { runHeadless } from './src/lib/headless.js';
+import { setQuiet, setLogSink } from './src/lib/logger.js';
+import { ENVIRONMENT_PRESETS, BACTERIA_PRESETS, getEnvironmentPreset, getBacteriaPreset } from './src/lib/utils.js';
+
+/**
+ * Headless command line runner for batch experiments.
+ * Writes one statistics record per generation as JSONL or CSV.
+ *
+ * Example: node cli.js --env toxic --bacteria resistant --generations 5000 --seed 42 --out run.jsonl
+ */
+
+const usage = `Usage: node cli.js [options]
+
+Options:
+  --env <preset>         Environment preset (default: neutral)
+  --bacteria <preset>    Bacteria preset (default: balanced)
+  --population <n>       Initial population (default: 50)
+  --generations <n>      Number of generations to run (default: 1000)
+  --seed <n>             Random seed (default: random)
+  --width <n>            Environment width (default: 800)
+  --height <n>           Environment height (default: 600)
+  --out <file>           Output file (default: stdout)
+  --format <jsonl|csv>   Output format (default: from --out extension, else jsonl)
+  --verbose              Print simulation diagnostics to stderr
+  --help                 Show this message
+
+The run stops early if the population goes extinct.`;
+
+/**
+ * Parse a required non-negative integer option
+ * @param {string} name - Option name
+ * @param {string} value - Raw option value
+ * @returns {number} - Parsed integer
+ */
+const parseInteger = (name, value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`--${name} must be a non-negative integer, got "${value}"`);
+  }
+  return number;
+};
+
+/**
+ * Check that a preset option names a known preset
+ * @param {string} name - Option name
+ * @param {string} value - Raw option value
+ * @param {Object} presets - Presets by name
+ * @returns {string} - The preset name
+ */
+const parsePreset = (name, value, presets) => {
+  if (!Object.hasOwn(presets, value)) {
+    throw new Error(`--${name} must be one of ${Object.keys(presets).join(', ')}, got "${value}"`);
+  }
+  return value;
+};
+
+/**
+ * Format a record as a CSV line
+ * @param {Array<string>} columns - Column names
+ * @param {Object} record - Record to format
+ * @returns {string} - CSV line
+ */
+const toCsvLine = (columns, record) => {
+  return columns.map(column => record[column] ?? '').join(',');
+};
+
+const main = () => {
+  const { values } = parseArgs({
+    options: {
+      env: { type: 'string', default: 'neutral' },
+      bacteria: { type: 'string', default: 'balanced' },
+      population: { type: 'string', default: '50' },
+      generations: { type: 'string', default: '1000' },
+      seed: { type: 'string' },
+      width: { type: 'string', default: '800' },
+      height: { type: 'string', default: '600' },
+      out: { type: 'string' },
+      format: { type: 'string' },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(usage);
+    return;
+  }
+
+  const format = values.format || (values.out && values.out.endsWith('.csv') ? 'csv' : 'jsonl');
+  if (format !== 'jsonl' && format !== 'csv') {
+    throw new Error(`--format must be jsonl or csv, got "${values.format}"`);
+  }
+
+  const environmentPreset = parsePreset('env', values.env, ENVIRONMENT_PRESETS);
+  const bacteriaPreset = parsePreset('bacteria', values.bacteria, BACTERIA_PRESETS);
+
+  // Diagnostics go to stderr so they never mix with results on stdout
+  setQuiet(!values.verbose);
+  setLogSink(console.error);
+
+  const output = values.out ? createWriteStream(values.out) : process.stdout;
+  let columns = null;
+
+  // A reader such as head may close the pipe once it has enough, which ends the run quietly
+  output.on('error', (error) => {
+    if (error.code !== 'EPIPE') throw error;
+  });
+
+  runHeadless({
+    simulationOptions: {
+      environmentParams: {
+        ...getEnvironmentPreset(environmentPreset),
+        width: parseInteger('width', values.width),
+        height: parseInteger('height', values.height)
+      },
+      initialBacteriaParams: getBacteriaPreset(bacteriaPreset),
+      initialPopulation: parseInteger('population', values.population),
+      seed: values.seed !== undefined ? parseInteger('seed', values.seed) : undefined
+    },
+    generations: parseInteger('generations', values.generations),
+    onGeneration: (record) => {
+      if (format === 'jsonl') {
+        output.write(JSON.stringify(record) + '\n');
+      } else {
+        if (!columns) {
+          columns = Object.keys(record);
+          output.write(columns.join(',') + '\n');
+        }
+        output.write(toCsvLine(columns, record) + '\n');
+      }
+
+      // Stop once the output has failed; the error itself is reported on the stream
+      return !output.errored;
+    }
+  });
+
+  if (output !== process.stdout) {
+    output.end();
+  }
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(`Error: ${error.message}\n\n${usage}`);
+  process.exitCode = 1;
+}
@@ -2,11 +2,18 @@ import { useState, useRef, useEffect } from 'react';
 import { Button } from '@/components/ui/button';
 import { Switch } from '@/components/ui/switch';
 import { Label } from '@/components/ui/label';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import SimulationCanvas from './components/SimulationCanvas';
 import ControlPanel from './components/ControlPanel';
 import StatisticsPanel from './components/StatisticsPanel';
+import ExperimentsPanel from './components/ExperimentsPanel';
+import PaintToolbar from './components/PaintToolbar';
+import ColorModeControls from './components/ColorModeControls';
+import BacteriumInspector from './components/BacteriumInspector';
 import useSimulation from './hooks/useSimulation';
-import { getEnvironmentPreset, getBacteriaPreset } from './lib/utils';
+import useRecorder from './hooks/useRecorder';
+import Random from './lib/Random';
+import { getEnvironmentPreset, getBacteriaPreset, downloadFile } from './lib/utils';
 import './App.css';
 
 function App() {
@@ -16,9 +23,16 @@ function App() {
   // Visualization options
   const [showNutrients, setShowNutrients] = useState(true);
   const [showToxicity, setShowToxicity] = useState(true);
+  const [showAntibiotics, setShowAntibiotics] = useState(true);
+  
+  // Selected paint tool (null when the canvas is not being painted on), brush radius and strength
+  const [paintTool, setPaintTool] = useState({ tool: null, size: 20, strength: 0.5 });
   
   // State to force re-initialization of useSimulation hook on reset
   const [simulationKey, setSimulationKey] = useState(0);
+  
+  // Seed for the simulation's random number generator
+  const [seed, setSeed] = useState(() => Random.randomSeed());
 
   // Initialize simulation with default parameters, including canvas dimensions
   const simulation = useSimulation({
@@ -28,9 +42,13 @@ function App() {
       height: canvasSize.height,
     },
     initialBacteriaParams: getBacteriaPreset('balanced'),
-    initialPopulation: 50
+    initialPopulation: 50,
+    seed
   }, simulationKey);
 
+  // Recorder capturing the simulation's frames to a GIF or PNG sequence
+  const recorder = useRecorder(simulation.onFrame);
+
   // Use a ref to store the simulation object to avoid it being in useEffect dependencies
   const simulationRef = useRef(simulation);
 
@@ -76,6 +94,58 @@ function App() {
   const handleReset = () => {
     setSimulationKey(prevKey => prevKey + 1);
   };
+  
+  // Function to download the current simulation as a snapshot file
+  const handleSaveSnapshot = async () => {
+    try {
+      const snapshot = await simulation.saveSnapshot();
+      const generation = snapshot.environment.generation;
+      downloadFile(`simulation-${snapshot.seed}-gen${generation}.json`, JSON.stringify(snapshot), 'application/json');
+    } catch (error) {
+      console.error("Failed to save snapshot:", error);
+    }
+  };
+  
+  // Function to download the genealogy of the current population in Newick format
+  const handleExportPhylogeny = async () => {
+    try {
+      const { seed: exportSeed, generation, content } = await simulation.exportPhylogeny();
+      downloadFile(`phylogeny-${exportSeed}-gen${generation}.nwk`, content);
+    } catch (error) {
+      console.error("Failed to export phylogeny:", error);
+    }
+  };
+  
+  // Function to download a table of the current population
+  const handleExportPopulation = async () => {
+    try {
+      const { seed: exportSeed, generation, content } = await simulation.exportPopulation();
+      downloadFile(`population-${exportSeed}-gen${generation}.csv`, content, 'text/csv');
+    } catch (error) {
+      console.error("Failed to export population:", error);
+    }
+  };
+  
+  // Function to restore a snapshot, keeping its seed for later resets
+  const handleLoadSnapshot = async (snapshot) => {
+    await simulation.loadSnapshot(snapshot);
+    setSeed(snapshot.seed);
+  };
+  
+  // Function to stop recording and download the encoded clip, if any frames were captured
+  const handleStopRecording = async () => {
+    const recording = await recorder.stop();
+    if (!recording) return;
+    
+    const { data, type, extension, firstGeneration, lastGeneration } = recording;
+    downloadFile(`recording-${seed}-gen${firstGeneration}-${lastGeneration}.${extension}`, data, type);
+  };
+  
+  // Function to restart the simulation with a new seed
+  const handleSeedChange = (newSeed) => {
+    setSeed(newSeed);
+    setSimulationKey(prevKey => prevKey + 1);
+  };
 
   return (
     <div className="min-h-screen bg-background text-foreground p-4 md:p-8">
@@ -86,63 +156,129 @@ function App() {
         </p>
       </header>
       
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-        <div className="lg:col-span-2 space-y-6">
-          <div className="flex flex-col space-y-4">
-            <SimulationCanvas
-              width={canvasSize.width}
-              height={canvasSize.height}
-              draw={simulation.draw}
-              showNutrients={showNutrients}
-              showToxicity={showToxicity}
-              className="w-full"
-            />
-            
-            <div className="flex flex-wrap gap-4">
-              <div className="flex items-center space-x-2">
-                <Switch
-                  id="show-nutrients"
-                  checked={showNutrients}
-                  onCheckedChange={setShowNutrients}
+      <Tabs defaultValue="simulation" className="w-full">
+        <TabsList className="mb-4">
+          <TabsTrigger value="simulation">Simulation</TabsTrigger>
+          <TabsTrigger value="experiments">Experiments</TabsTrigger>
+        </TabsList>
+        
+        <TabsContent value="simulation" className="mt-0">
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 space-y-6">
+              <div className="flex flex-col space-y-4">
+                <SimulationCanvas
+                  width={canvasSize.width}
+                  height={canvasSize.height}
+                  draw={simulation.draw}
+                  showNutrients={showNutrients}
+                  showToxicity={showToxicity}
+                  showAntibiotics={showAntibiotics}
+                  paintTool={paintTool}
+                  onPaint={simulation.paint}
+                  onInspect={simulation.inspectAt}
+                  getArena={simulation.getArena}
+                  getFollowTarget={() => simulation.getBacteriumPosition(simulation.inspectedId)}
+                  canFollow={simulation.inspected?.alive === true}
+                  className="w-full"
                 />
-                <Label htmlFor="show-nutrients">Show Nutrients</Label>
-              </div>
+            
+                <div className="flex flex-wrap gap-4">
+                  <div className="flex items-center space-x-2">
+                    <Switch
+                      id="show-nutrients"
+                      checked={showNutrients}
+                      onCheckedChange={setShowNutrients}
+                    />
+                    <Label htmlFor="show-nutrients">Show Nutrients</Label>
+                  </div>
               
-              <div className="flex items-center space-x-2">
-                <Switch
-                  id="show-toxicity"
-                  checked={showToxicity}
-                  onCheckedChange={setShowToxicity}
+                  <div className="flex items-center space-x-2">
+                    <Switch
+                      id="show-toxicity"
+                      checked={showToxicity}
+                      onCheckedChange={setShowToxicity}
+                    />
+                    <Label htmlFor="show-toxicity">Show Toxicity</Label>
+                  </div>
+              
+                  <div className="flex items-center space-x-2">
+                    <Switch
+                      id="show-antibiotics"
+                      checked={showAntibiotics}
+                      onCheckedChange={setShowAntibiotics}
+                    />
+                    <Label htmlFor="show-antibiotics">Show Antibiotics</Label>
+                  </div>
+                </div>
+                
+                <ColorModeControls
+                  colorMode={simulation.colorMode}
+                  setColorMode={simulation.setColorMode}
+                />
+                
+                <PaintToolbar
+                  paintTool={paintTool}
+                  setPaintTool={setPaintTool}
+                  onClearWalls={simulation.clearWalls}
                 />
-                <Label htmlFor="show-toxicity">Show Toxicity</Label>
               </div>
+          
+              <StatisticsPanel
+                statistics={simulation.state?.statistics}
+                getGenealogy={simulation.getGenealogy}
+                selectedLineage={simulation.highlightedLineage}
+                onSelectLineage={simulation.highlightLineage}
+                onExportPhylogeny={handleExportPhylogeny}
+                onExportPopulation={handleExportPopulation}
+                className="w-full"
+              />
+            </div>
+        
+            <div className="lg:col-span-1 space-y-6">
+              {simulation.inspectedId !== null && (
+                <BacteriumInspector
+                  bacterium={simulation.inspected}
+                  onClose={simulation.clearInspection}
+                />
+              )}
+              
+              <ControlPanel
+                environmentParams={simulation.environmentParams}
+                updateEnvironment={simulation.updateEnvironment}
+                bacteriaParams={simulation.bacteriaParams}
+                updateBacteriaParams={simulation.updateBacteriaParams}
+                initialPopulation={simulation.initialPopulation}
+                updateInitialPopulation={simulation.updateInitialPopulation}
+                running={simulation.running}
+                speed={simulation.speed}
+                setSpeed={simulation.setSpeed}
+                onStart={simulation.start}
+                onPause={simulation.pause}
+                onReset={handleReset}
+                seed={seed}
+                onSeedChange={handleSeedChange}
+                onSaveSnapshot={handleSaveSnapshot}
+                onLoadSnapshot={handleLoadSnapshot}
+                recordingStatus={recorder.status}
+                recordedFrames={recorder.frameCount}
+                onStartRecording={recorder.start}
+                onStopRecording={handleStopRecording}
+                statistics={simulation.state?.statistics}
+              />
             </div>
           </div>
-          
-          <StatisticsPanel
-            statistics={simulation.state?.statistics}
-            className="w-full"
-          />
-        </div>
+        </TabsContent>
         
-        <div className="lg:col-span-1">
-          <ControlPanel
+        {/* Kept mounted so running experiments survive switching tabs */}
+        <TabsContent value="experiments" forceMount className="mt-0 data-[state=inactive]:hidden">
+          <ExperimentsPanel
             environmentParams={simulation.environmentParams}
-            updateEnvironment={simulation.updateEnvironment}
             bacteriaParams={simulation.bacteriaParams}
-            updateBacteriaParams={simulation.updateBacteriaParams}
             initialPopulation={simulation.initialPopulation}
-            updateInitialPopulation={simulation.updateInitialPopulation}
-            running={simulation.running}
-            speed={simulation.speed}
-            setSpeed={simulation.setSpeed}
-            onStart={simulation.start}
-            onPause={simulation.pause}
-            onReset={handleReset}
-            statistics={simulation.state?.statistics}
+            seed={seed}
           />
-        </div>
-      </div>
+        </TabsContent>
+      </Tabs>
       
       <footer className="mt-8 text-center text-sm text-muted-foreground">
         <p>
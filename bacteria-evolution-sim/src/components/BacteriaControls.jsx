@@ -1,7 +1,9 @@
 import { Label } from '@/components/ui/label';
 import { Slider } from '@/components/ui/slider';
+import { Switch } from '@/components/ui/switch';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { getBacteriaPreset } from '@/lib/utils';
+import { EFFECT_DISTRIBUTIONS } from '@/lib/Genome';
 
 /**
  * Component for controlling bacteria parameters
@@ -170,6 +172,203 @@ const BacteriaControls = ({
             <span className="text-xs text-muted-foreground">Mutable</span>
           </div>
         </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Chemotactic Sensitivity</Label>
+            <span className="text-sm text-muted-foreground">{params.chemotacticSensitivity || 20}</span>
+          </div>
+          <Slider
+            value={[params.chemotacticSensitivity || 20]}
+            min={1}
+            max={100}
+            step={1}
+            onValueChange={(value) => updateParams({ chemotacticSensitivity: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Random walk</span>
+            <span className="text-xs text-muted-foreground">Gradient tracking</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Toxin Avoidance</Label>
+            <span className="text-sm text-muted-foreground">{params.toxinAvoidance || 5}</span>
+          </div>
+          <Slider
+            value={[params.toxinAvoidance || 5]}
+            min={0.5}
+            max={20}
+            step={0.5}
+            onValueChange={(value) => updateParams({ toxinAvoidance: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Indifferent</span>
+            <span className="text-xs text-muted-foreground">Avoidant</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Optimal Temperature</Label>
+            <span className="text-sm text-muted-foreground">{params.optimalTemperature ?? 50}°</span>
+          </div>
+          <Slider
+            value={[params.optimalTemperature ?? 50]}
+            min={0}
+            max={100}
+            step={1}
+            onValueChange={(value) => updateParams({ optimalTemperature: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Psychrophile</span>
+            <span className="text-xs text-muted-foreground">Thermophile</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Optimal pH</Label>
+            <span className="text-sm text-muted-foreground">{params.optimalPH ?? 7}</span>
+          </div>
+          <Slider
+            value={[params.optimalPH ?? 7]}
+            min={0}
+            max={14}
+            step={0.1}
+            onValueChange={(value) => updateParams({ optimalPH: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Acidophile</span>
+            <span className="text-xs text-muted-foreground">Alkaliphile</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Tolerance Width</Label>
+            <span className="text-sm text-muted-foreground">{params.toleranceWidth || 1}</span>
+          </div>
+          <Slider
+            value={[params.toleranceWidth || 1]}
+            min={0.2}
+            max={3}
+            step={0.1}
+            onValueChange={(value) => updateParams({ toleranceWidth: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Specialist</span>
+            <span className="text-xs text-muted-foreground">Generalist</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Initial Plasmid Carriers</Label>
+            <span className="text-sm text-muted-foreground">{Math.round((params.plasmidFraction ?? 0.1) * 100)}%</span>
+          </div>
+          <Slider
+            value={[params.plasmidFraction ?? 0.1]}
+            min={0}
+            max={1}
+            step={0.05}
+            onValueChange={(value) => updateParams({ plasmidFraction: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">None</span>
+            <span className="text-xs text-muted-foreground">All</span>
+          </div>
+        </div>
+      </div>
+      
+      <div className="space-y-4">
+        <div>
+          <div className="flex items-center justify-between">
+            <Label htmlFor="genome-enabled">Genome Model</Label>
+            <Switch
+              id="genome-enabled"
+              checked={params.genomeEnabled || false}
+              onCheckedChange={(checked) => updateParams({ genomeEnabled: checked })}
+            />
+          </div>
+          <p className="text-xs text-muted-foreground mt-1">
+            Traits are encoded by discrete loci and change through substitutions, so genotypes and individual mutations can be tracked. Applies on reset.
+          </p>
+        </div>
+        
+        {params.genomeEnabled && (
+          <>
+            <div>
+              <div className="flex justify-between mb-2">
+                <Label>Loci per Trait</Label>
+                <span className="text-sm text-muted-foreground">{params.lociPerTrait || 4}</span>
+              </div>
+              <Slider
+                value={[params.lociPerTrait || 4]}
+                min={1}
+                max={10}
+                step={1}
+                onValueChange={(value) => updateParams({ lociPerTrait: value[0] })}
+              />
+            </div>
+            
+            <div>
+              <Label className="mb-2 block">Effect Size Distribution</Label>
+              <Select
+                value={params.effectDistribution || 'gaussian'}
+                onValueChange={(value) => updateParams({ effectDistribution: value })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {EFFECT_DISTRIBUTIONS.map((distribution) => (
+                    <SelectItem key={distribution.value} value={distribution.value}>
+                      {distribution.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            
+            <div>
+              <div className="flex justify-between mb-2">
+                <Label>Effect Size</Label>
+                <span className="text-sm text-muted-foreground">{params.effectSize ?? 0.1}</span>
+              </div>
+              <Slider
+                value={[params.effectSize ?? 0.1]}
+                min={0.01}
+                max={0.5}
+                step={0.01}
+                onValueChange={(value) => updateParams({ effectSize: value[0] })}
+              />
+              <div className="flex justify-between mt-1">
+                <span className="text-xs text-muted-foreground">Small steps</span>
+                <span className="text-xs text-muted-foreground">Large jumps</span>
+              </div>
+            </div>
+            
+            <div>
+              <div className="flex justify-between mb-2">
+                <Label>Epistasis</Label>
+                <span className="text-sm text-muted-foreground">{params.epistasis || 0}</span>
+              </div>
+              <Slider
+                value={[params.epistasis || 0]}
+                min={-2}
+                max={2}
+                step={0.1}
+                onValueChange={(value) => updateParams({ epistasis: value[0] })}
+              />
+              <div className="flex justify-between mt-1">
+                <span className="text-xs text-muted-foreground">Antagonistic</span>
+                <span className="text-xs text-muted-foreground">Synergistic</span>
+              </div>
+            </div>
+          </>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,86 @@
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { XIcon } from 'lucide-react';
+import { HERITABLE_TRAITS, TRAIT_LABELS } from '@/lib/Bacterium';
+import { formatNumber } from '@/lib/utils';
+
+// Display names of the causes of death
+const DEATH_CAUSE_LABELS = {
+  starvation: 'starvation',
+  oldAge: 'old age',
+  toxicity: 'toxicity',
+  antibiotic: 'antibiotic',
+  predation: 'predation',
+  dilution: 'dilution'
+};
+
+/**
+ * One labelled value in the inspector
+ */
+const InspectorRow = ({ label, children }) => (
+  <div className="flex justify-between gap-4 text-sm">
+    <span className="text-muted-foreground">{label}</span>
+    <span className="font-medium tabular-nums">{children}</span>
+  </div>
+);
+
+/**
+ * Panel showing the traits and state of the bacterium selected on the canvas
+ */
+const BacteriumInspector = ({ bacterium, onClose, className = '' }) => {
+  return (
+    <Card className={className}>
+      <CardHeader className="pb-3">
+        <div className="flex items-start justify-between gap-2">
+          <div>
+            <CardTitle>Bacterium #{bacterium ? bacterium.id : '…'}</CardTitle>
+            <CardDescription>
+              {!bacterium && 'Loading…'}
+              {bacterium?.alive && `Alive, born in generation ${bacterium.birthGeneration}`}
+              {bacterium && !bacterium.alive && (
+                <span className="text-destructive">
+                  Died of {DEATH_CAUSE_LABELS[bacterium.causeOfDeath] || bacterium.causeOfDeath} in generation {bacterium.deathGeneration}
+                </span>
+              )}
+            </CardDescription>
+          </div>
+          <Button onClick={onClose} variant="ghost" size="icon" title="Close inspector">
+            <XIcon className="h-4 w-4" />
+          </Button>
+        </div>
+      </CardHeader>
+
+      {bacterium && (
+        <CardContent className="space-y-4">
+          <div className="space-y-1">
+            <InspectorRow label="Age / Lifespan">
+              {bacterium.age} / {formatNumber(bacterium.lifespan, 0)}
+            </InspectorRow>
+            <InspectorRow label="Energy">{formatNumber(bacterium.energy, 1)}</InspectorRow>
+            <InspectorRow label="Reproduction Cooldown">{bacterium.reproductionCooldown}</InspectorRow>
+            <InspectorRow label="Offspring">{bacterium.offspringCount}</InspectorRow>
+            <InspectorRow label="Parent">{bacterium.parentId ?? 'Founder'}</InspectorRow>
+            <InspectorRow label="Plasmid">{bacterium.plasmid ? 'Yes' : 'No'}</InspectorRow>
+          </div>
+
+          <div className="space-y-1">
+            <div className="text-sm font-medium">Local Conditions</div>
+            <InspectorRow label="Nutrients">{formatNumber(bacterium.nutrients)}</InspectorRow>
+            <InspectorRow label="Toxicity">{formatNumber(bacterium.toxicity)}</InspectorRow>
+          </div>
+
+          <div className="space-y-1">
+            <div className="text-sm font-medium">Traits</div>
+            {HERITABLE_TRAITS.map((trait) => (
+              <InspectorRow key={trait} label={TRAIT_LABELS[trait]}>
+                {formatNumber(bacterium.traits[trait], trait === 'mutationRate' ? 3 : 2)}
+              </InspectorRow>
+            ))}
+          </div>
+        </CardContent>
+      )}
+    </Card>
+  );
+};
+
+export default BacteriumInspector;
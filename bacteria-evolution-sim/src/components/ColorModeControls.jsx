@@ -0,0 +1,50 @@
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { COLOR_MODES, COLOR_SCALES, usesColorScale } from '@/lib/colorModes';
+
+/**
+ * Selectors for the property the bacteria are coloured by and, for numeric properties, the colour scale
+ */
+const ColorModeControls = ({ colorMode, setColorMode, className = '' }) => {
+  const { colorBy, scale } = colorMode;
+
+  return (
+    <div className={`flex flex-wrap items-center gap-4 ${className}`}>
+      <div className="flex items-center space-x-2">
+        <Label>Colour By</Label>
+        <Select value={colorBy} onValueChange={(value) => setColorMode({ ...colorMode, colorBy: value })}>
+          <SelectTrigger className="w-[240px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {COLOR_MODES.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {usesColorScale(colorBy) && (
+        <div className="flex items-center space-x-2">
+          <Label>Scale</Label>
+          <Select value={scale} onValueChange={(value) => setColorMode({ ...colorMode, scale: value })}>
+            <SelectTrigger className="w-[160px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {COLOR_SCALES.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColorModeControls;
@@ -3,6 +3,7 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import EnvironmentControls from './EnvironmentControls';
 import BacteriaControls from './BacteriaControls';
+import MutationControls from './MutationControls';
 import SimulationControls from './SimulationControls';
 
 /**
@@ -21,6 +22,14 @@ const ControlPanel = ({
   onStart,
   onPause,
   onReset,
+  seed,
+  onSeedChange,
+  onSaveSnapshot,
+  onLoadSnapshot,
+  recordingStatus,
+  recordedFrames,
+  onStartRecording,
+  onStopRecording,
   statistics,
   className = ''
 }) => {
@@ -42,13 +51,22 @@ const ControlPanel = ({
           onStart={onStart}
           onPause={onPause}
           onReset={onReset}
+          seed={seed}
+          onSeedChange={onSeedChange}
+          onSaveSnapshot={onSaveSnapshot}
+          onLoadSnapshot={onLoadSnapshot}
+          recordingStatus={recordingStatus}
+          recordedFrames={recordedFrames}
+          onStartRecording={onStartRecording}
+          onStopRecording={onStopRecording}
           className="mb-4"
         />
         
         <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
-          <TabsList className="grid grid-cols-2 mb-4">
+          <TabsList className="grid grid-cols-3 mb-4">
             <TabsTrigger value="environment">Environment</TabsTrigger>
             <TabsTrigger value="bacteria">Bacteria</TabsTrigger>
+            <TabsTrigger value="mutation">Mutation</TabsTrigger>
           </TabsList>
           
           <TabsContent value="environment" className="mt-0">
@@ -66,6 +84,13 @@ const ControlPanel = ({
               updateInitialPopulation={updateInitialPopulation}
             />
           </TabsContent>
+          
+          <TabsContent value="mutation" className="mt-0">
+            <MutationControls
+              params={bacteriaParams}
+              updateParams={updateBacteriaParams}
+            />
+          </TabsContent>
         </Tabs>
       </CardContent>
     </Card>
@@ -1,9 +1,94 @@
 import { useState } from 'react';
+import { ShuffleIcon } from 'lucide-react';
 import { Label } from '@/components/ui/label';
 import { Slider } from '@/components/ui/slider';
 import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import FieldMapControls from './FieldMapControls';
+import TimelineEditor from './TimelineEditor';
 import { getEnvironmentPreset } from '@/lib/utils';
+import { FIELD_PATTERNS } from '@/lib/fieldGenerators';
+import Random from '@/lib/Random';
+
+/**
+ * Controls for the spatial pattern of one generated field
+ */
+const FieldPatternControls = ({ label, prefix, field, defaults, params, updateParams }) => {
+  const pattern = params[`${prefix}Pattern`] || defaults.pattern;
+  const scale = params[`${prefix}Scale`] || defaults.scale;
+  const octaves = params[`${prefix}Octaves`] || defaults.octaves;
+  
+  // A loaded image map takes the place of the pattern
+  if (params.fieldMaps?.[field]) {
+    return (
+      <div>
+        <Label className="mb-2 block">{label} Pattern</Label>
+        <p className="text-xs text-muted-foreground">From the loaded image map</p>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="space-y-4">
+      <div>
+        <Label className="mb-2 block">{label} Pattern</Label>
+        <Select value={pattern} onValueChange={(value) => updateParams({ [`${prefix}Pattern`]: value })}>
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {FIELD_PATTERNS.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+      
+      {['noise', 'stripes', 'patches'].includes(pattern) && (
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>{label} Scale</Label>
+            <span className="text-sm text-muted-foreground">{scale}px</span>
+          </div>
+          <Slider
+            value={[scale]}
+            min={20}
+            max={500}
+            step={10}
+            onValueChange={(value) => updateParams({ [`${prefix}Scale`]: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Fine</span>
+            <span className="text-xs text-muted-foreground">Broad</span>
+          </div>
+        </div>
+      )}
+      
+      {pattern === 'noise' && (
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>{label} Octaves</Label>
+            <span className="text-sm text-muted-foreground">{octaves}</span>
+          </div>
+          <Slider
+            value={[octaves]}
+            min={1}
+            max={6}
+            step={1}
+            onValueChange={(value) => updateParams({ [`${prefix}Octaves`]: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Smooth</span>
+            <span className="text-xs text-muted-foreground">Detailed</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
 
 /**
  * Component for controlling environmental parameters
@@ -102,6 +187,24 @@ const EnvironmentControls = ({ params, updateParams }) => {
           </div>
         </div>
         
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Nutrient Inflow</Label>
+            <span className="text-sm text-muted-foreground">{params.nutrientInflow ?? 0.01}</span>
+          </div>
+          <Slider
+            value={[params.nutrientInflow ?? 0.01]}
+            min={0}
+            max={0.1}
+            step={0.001}
+            onValueChange={(value) => updateParams({ nutrientInflow: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Depleting</span>
+            <span className="text-xs text-muted-foreground">Fast regrowth</span>
+          </div>
+        </div>
+        
         <div>
           <div className="flex justify-between mb-2">
             <Label>Toxicity</Label>
@@ -156,6 +259,326 @@ const EnvironmentControls = ({ params, updateParams }) => {
           </div>
         </div>
       </div>
+      
+      <div className="space-y-4">
+        <div>
+          <Label className="block">Field Patterns</Label>
+          <p className="text-xs text-muted-foreground mt-1">
+            The spatial layout of nutrients and background toxicity. Different patterns create different selection regimes, from smooth gradients to isolated refuges.
+          </p>
+        </div>
+        
+        <FieldPatternControls
+          label="Nutrient"
+          prefix="nutrient"
+          field="nutrients"
+          defaults={{ pattern: 'noise', scale: 200, octaves: 3 }}
+          params={params}
+          updateParams={updateParams}
+        />
+        
+        <FieldPatternControls
+          label="Toxicity"
+          prefix="toxicity"
+          field="toxicity"
+          defaults={{ pattern: 'patches', scale: 100, octaves: 3 }}
+          params={params}
+          updateParams={updateParams}
+        />
+        
+        <div>
+          <Label htmlFor="field-seed" className="mb-2 block">Pattern Seed</Label>
+          <div className="flex gap-2">
+            <Input
+              id="field-seed"
+              type="number"
+              min={0}
+              placeholder="From simulation seed"
+              value={params.fieldSeed ?? ''}
+              onChange={(event) => {
+                const value = event.target.value;
+                if (value === '') {
+                  updateParams({ fieldSeed: null });
+                } else if (Number.isInteger(Number(value)) && Number(value) >= 0) {
+                  updateParams({ fieldSeed: Number(value) });
+                }
+              }}
+            />
+            <Button
+              onClick={() => updateParams({ fieldSeed: Random.randomSeed() })}
+              variant="outline"
+              size="icon"
+              title="Random pattern seed"
+            >
+              <ShuffleIcon className="h-4 w-4" />
+            </Button>
+          </div>
+          <p className="text-xs text-muted-foreground mt-1">
+            Fix the seed to keep the same maps while changing other settings.
+          </p>
+        </div>
+      </div>
+      
+      <FieldMapControls params={params} updateParams={updateParams} />
+      
+      <div className="space-y-4">
+        <div>
+          <Label className="block">Chemical Fields</Label>
+          <p className="text-xs text-muted-foreground mt-1">
+            Nutrients, toxins and antibiotics diffuse across the arena. Bacteria consume nutrients and secrete toxins as they spend energy.
+          </p>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Grid Columns</Label>
+            <span className="text-sm text-muted-foreground">{params.gridColumns || 40}</span>
+          </div>
+          <Slider
+            value={[params.gridColumns || 40]}
+            min={10}
+            max={120}
+            step={5}
+            onValueChange={(value) => updateParams({ gridColumns: value[0] })}
+          />
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Grid Rows</Label>
+            <span className="text-sm text-muted-foreground">{params.gridRows || 30}</span>
+          </div>
+          <Slider
+            value={[params.gridRows || 30]}
+            min={10}
+            max={90}
+            step={5}
+            onValueChange={(value) => updateParams({ gridRows: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Coarse</span>
+            <span className="text-xs text-muted-foreground">Fine</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Nutrient Diffusion</Label>
+            <span className="text-sm text-muted-foreground">{params.nutrientDiffusion ?? 0.05}</span>
+          </div>
+          <Slider
+            value={[params.nutrientDiffusion ?? 0.05]}
+            min={0}
+            max={1}
+            step={0.01}
+            onValueChange={(value) => updateParams({ nutrientDiffusion: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Static</span>
+            <span className="text-xs text-muted-foreground">Fast mixing</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Toxin Diffusion</Label>
+            <span className="text-sm text-muted-foreground">{params.toxinDiffusion ?? 0.05}</span>
+          </div>
+          <Slider
+            value={[params.toxinDiffusion ?? 0.05]}
+            min={0}
+            max={1}
+            step={0.01}
+            onValueChange={(value) => updateParams({ toxinDiffusion: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Static</span>
+            <span className="text-xs text-muted-foreground">Fast mixing</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Toxin Decay</Label>
+            <span className="text-sm text-muted-foreground">{params.toxinDecay ?? 0.01}</span>
+          </div>
+          <Slider
+            value={[params.toxinDecay ?? 0.01]}
+            min={0}
+            max={0.1}
+            step={0.001}
+            onValueChange={(value) => updateParams({ toxinDecay: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Persistent</span>
+            <span className="text-xs text-muted-foreground">Short-lived</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Toxin Secretion</Label>
+            <span className="text-sm text-muted-foreground">{params.toxinSecretion ?? 0.01}</span>
+          </div>
+          <Slider
+            value={[params.toxinSecretion ?? 0.01]}
+            min={0}
+            max={0.05}
+            step={0.001}
+            onValueChange={(value) => updateParams({ toxinSecretion: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">None</span>
+            <span className="text-xs text-muted-foreground">Heavy</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Antibiotic Diffusion</Label>
+            <span className="text-sm text-muted-foreground">{params.antibioticDiffusion ?? 0.05}</span>
+          </div>
+          <Slider
+            value={[params.antibioticDiffusion ?? 0.05]}
+            min={0}
+            max={1}
+            step={0.01}
+            onValueChange={(value) => updateParams({ antibioticDiffusion: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Static</span>
+            <span className="text-xs text-muted-foreground">Fast mixing</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Antibiotic Renewal</Label>
+            <span className="text-sm text-muted-foreground">{params.antibioticDecay ?? 0.05}</span>
+          </div>
+          <Slider
+            value={[params.antibioticDecay ?? 0.05]}
+            min={0}
+            max={0.1}
+            step={0.001}
+            onValueChange={(value) => updateParams({ antibioticDecay: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Slow</span>
+            <span className="text-xs text-muted-foreground">Fast</span>
+          </div>
+        </div>
+      </div>
+      
+      <div className="space-y-4">
+        <div>
+          <Label className="block">Plasmids</Label>
+          <p className="text-xs text-muted-foreground mt-1">
+            Plasmids carry a resistance gene and spread between touching cells by conjugation, at an energy cost to their carriers.
+          </p>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Conjugation Rate</Label>
+            <span className="text-sm text-muted-foreground">{params.conjugationRate ?? 0.05}</span>
+          </div>
+          <Slider
+            value={[params.conjugationRate ?? 0.05]}
+            min={0}
+            max={0.2}
+            step={0.005}
+            onValueChange={(value) => updateParams({ conjugationRate: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">None</span>
+            <span className="text-xs text-muted-foreground">Frequent</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Plasmid Cost</Label>
+            <span className="text-sm text-muted-foreground">{params.plasmidCost ?? 0.1}</span>
+          </div>
+          <Slider
+            value={[params.plasmidCost ?? 0.1]}
+            min={0}
+            max={0.5}
+            step={0.01}
+            onValueChange={(value) => updateParams({ plasmidCost: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Free</span>
+            <span className="text-xs text-muted-foreground">Costly</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Plasmid Loss at Division</Label>
+            <span className="text-sm text-muted-foreground">{params.plasmidLoss ?? 0.01}</span>
+          </div>
+          <Slider
+            value={[params.plasmidLoss ?? 0.01]}
+            min={0}
+            max={0.1}
+            step={0.001}
+            onValueChange={(value) => updateParams({ plasmidLoss: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Stable</span>
+            <span className="text-xs text-muted-foreground">Unstable</span>
+          </div>
+        </div>
+      </div>
+      
+      <div className="space-y-4">
+        <div>
+          <Label className="block">Mortality</Label>
+          <p className="text-xs text-muted-foreground mt-1">
+            Deaths from outside the cell: grazing predators, which catch small cells more easily, and dilution, which washes cells out of the culture at random.
+          </p>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Predation Rate</Label>
+            <span className="text-sm text-muted-foreground">{params.predationRate ?? 0}</span>
+          </div>
+          <Slider
+            value={[params.predationRate ?? 0]}
+            min={0}
+            max={0.02}
+            step={0.001}
+            onValueChange={(value) => updateParams({ predationRate: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">None</span>
+            <span className="text-xs text-muted-foreground">Heavy grazing</span>
+          </div>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Dilution Rate</Label>
+            <span className="text-sm text-muted-foreground">{params.dilutionRate ?? 0}</span>
+          </div>
+          <Slider
+            value={[params.dilutionRate ?? 0]}
+            min={0}
+            max={0.02}
+            step={0.001}
+            onValueChange={(value) => updateParams({ dilutionRate: value[0] })}
+          />
+          <div className="flex justify-between mt-1">
+            <span className="text-xs text-muted-foreground">Closed</span>
+            <span className="text-xs text-muted-foreground">Fast washout</span>
+          </div>
+        </div>
+      </div>
+      
+      <TimelineEditor params={params} updateParams={updateParams} />
     </div>
   );
 };
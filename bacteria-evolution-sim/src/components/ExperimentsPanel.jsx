@@ -0,0 +1,368 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Progress } from '@/components/ui/progress';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { PlayIcon, SquareIcon } from 'lucide-react';
+import useExperimentRunner from '@/hooks/useExperimentRunner';
+import {
+  SWEEP_PARAMETERS,
+  EXPERIMENT_METRICS,
+  MAX_SWEEP_VALUES,
+  getSweepParameter,
+  rangeValues,
+  presetValues
+} from '@/lib/experiments';
+import { formatNumber, valueToColor } from '@/lib/utils';
+
+/**
+ * Create the default settings for a sweep axis
+ * @param {string} parameter - Parameter key
+ * @returns {Object} - Axis settings
+ */
+const createAxis = (parameter) => {
+  const { min, max, step } = getSweepParameter(parameter);
+  return { parameter, mode: 'range', from: String(min), to: String(max), step: String(step) };
+};
+
+/**
+ * Get the values an axis sweeps over
+ * @param {Object} axis - Axis settings
+ * @returns {Array<number>} - Sweep values
+ */
+const getAxisValues = (axis) => {
+  if (axis.mode === 'presets') {
+    return presetValues(axis.parameter);
+  }
+  return rangeValues(Number(axis.from), Number(axis.to), Number(axis.step));
+};
+
+/**
+ * Format an estimate with its confidence interval
+ * @param {Object|null} estimate - Mean, lower and upper bounds
+ * @returns {string} - Formatted estimate
+ */
+const formatEstimate = (estimate) => {
+  if (!estimate) return '-';
+  return `${formatNumber(estimate.mean)} [${formatNumber(estimate.lower)}, ${formatNumber(estimate.upper)}]`;
+};
+
+/**
+ * Editor for one sweep axis
+ */
+const AxisEditor = ({ label, axis, onChange, onRemove }) => {
+  const definition = getSweepParameter(axis.parameter);
+  const values = getAxisValues(axis);
+
+  return (
+    <div className="space-y-2 p-3 border rounded-md">
+      <div className="flex justify-between items-center">
+        <Label>{label}</Label>
+        {onRemove && (
+          <Button onClick={onRemove} variant="ghost" size="sm">
+            Remove
+          </Button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <Select value={axis.parameter} onValueChange={(parameter) => onChange(createAxis(parameter))}>
+          <SelectTrigger className="w-full">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {SWEEP_PARAMETERS.map((parameter) => (
+              <SelectItem key={parameter.key} value={parameter.key}>
+                {parameter.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        <Select value={axis.mode} onValueChange={(mode) => onChange({ ...axis, mode })}>
+          <SelectTrigger className="w-full">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="range">Range</SelectItem>
+            {definition.group === 'bacteria' && presetValues(axis.parameter).length > 0 && (
+              <SelectItem value="presets">Preset values</SelectItem>
+            )}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {axis.mode === 'range' && (
+        <div className="grid grid-cols-3 gap-2">
+          {['from', 'to', 'step'].map((field) => (
+            <div key={field}>
+              <Label className="text-xs text-muted-foreground mb-1 block capitalize">{field}</Label>
+              <Input
+                type="number"
+                value={axis[field]}
+                onChange={(event) => onChange({ ...axis, [field]: event.target.value })}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-xs text-muted-foreground">
+        {values.length} values: {values.map(value => formatNumber(value)).join(', ')}
+      </p>
+      {axis.mode === 'range' && values.length === MAX_SWEEP_VALUES && values[values.length - 1] < Number(axis.to) && (
+        <p className="text-xs text-destructive">
+          Limited to {MAX_SWEEP_VALUES} values, so the range stops early. Use a larger step to cover it.
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Heatmap of one metric over the swept parameter grid
+ */
+const ResultsHeatmap = ({ experiment, summary, metric }) => {
+  const [xAxis, yAxis] = experiment.axes;
+  const xValues = xAxis.values;
+  const yValues = yAxis ? yAxis.values : [null];
+
+  const means = summary
+    .map(cell => cell[metric]?.mean)
+    .filter(value => value !== undefined && value !== null);
+  const min = Math.min(...means);
+  const max = Math.max(...means);
+
+  // Cells are ordered with the first axis varying slowest
+  const getCell = (xIndex, yIndex) => summary[xIndex * yValues.length + yIndex];
+
+  return (
+    <div className="overflow-x-auto">
+      <div
+        className="grid gap-1 text-xs"
+        style={{ gridTemplateColumns: `auto repeat(${xValues.length}, minmax(3rem, 1fr))` }}
+      >
+        <div />
+        {xValues.map(value => (
+          <div key={value} className="text-center text-muted-foreground">{formatNumber(value)}</div>
+        ))}
+
+        {yValues.map((yValue, yIndex) => [
+          <div key={`label-${yIndex}`} className="pr-2 text-right text-muted-foreground self-center">
+            {yValue === null ? '' : formatNumber(yValue)}
+          </div>,
+          ...xValues.map((xValue, xIndex) => {
+            const estimate = getCell(xIndex, yIndex)?.[metric];
+            const hasValue = estimate !== null && estimate !== undefined;
+
+            return (
+              <div
+                key={`${xIndex}-${yIndex}`}
+                className="h-10 rounded-sm flex items-center justify-center text-white font-medium"
+                style={{
+                  backgroundColor: hasValue
+                    ? valueToColor(estimate.mean, min, max === min ? min + 1 : max)
+                    : 'var(--color-muted)'
+                }}
+                title={hasValue ? formatEstimate(estimate) : 'No data'}
+              >
+                {hasValue ? formatNumber(estimate.mean) : '-'}
+              </div>
+            );
+          })
+        ])}
+      </div>
+
+      <div className="flex justify-between mt-2 text-xs text-muted-foreground">
+        <span>x: {getSweepParameter(xAxis.parameter).label}</span>
+        {yAxis && <span>y: {getSweepParameter(yAxis.parameter).label}</span>}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Component for configuring and running parameter sweep experiments
+ */
+const ExperimentsPanel = ({
+  environmentParams,
+  bacteriaParams,
+  initialPopulation,
+  seed,
+  className = ''
+}) => {
+  const runner = useExperimentRunner();
+
+  // Experiment settings
+  const [axes, setAxes] = useState([createAxis('toxicity'), null]);
+  const [replicates, setReplicates] = useState('5');
+  const [generations, setGenerations] = useState('1000');
+  const [metric, setMetric] = useState('finalPopulation');
+
+  const activeAxes = axes.filter(Boolean);
+  const replicateCount = Math.max(1, Math.floor(Number(replicates)) || 1);
+  const generationLimit = Math.max(1, Math.floor(Number(generations)) || 1);
+  const totalRuns = activeAxes.reduce((total, axis) => total * getAxisValues(axis).length, replicateCount);
+
+  // Update one of the two axes
+  const setAxis = (index, axis) => {
+    setAxes(prev => prev.map((current, i) => (i === index ? axis : current)));
+  };
+
+  // Start the experiment with the current simulation settings as the baseline
+  const runExperiment = () => {
+    runner.run({
+      axes: activeAxes.map(axis => ({ parameter: axis.parameter, values: getAxisValues(axis) })),
+      replicates: replicateCount,
+      generations: generationLimit,
+      environmentParams,
+      bacteriaParams,
+      initialPopulation,
+      seed
+    });
+  };
+
+  const { status, experiment, summary, progress, errors } = runner;
+
+  return (
+    <Card className={className}>
+      <CardHeader className="pb-3">
+        <CardTitle>Experiments</CardTitle>
+        <CardDescription>
+          Sweep one or two parameters over replicate headless runs. Unswept parameters use the current simulation settings.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <AxisEditor
+            label="Parameter 1"
+            axis={axes[0]}
+            onChange={(axis) => setAxis(0, axis)}
+          />
+
+          {axes[1] ? (
+            <AxisEditor
+              label="Parameter 2"
+              axis={axes[1]}
+              onChange={(axis) => setAxis(1, axis)}
+              onRemove={() => setAxis(1, null)}
+            />
+          ) : (
+            <Button onClick={() => setAxis(1, createAxis('mutationRate'))} variant="outline" className="h-auto">
+              Add second parameter
+            </Button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <Label htmlFor="experiment-replicates" className="mb-2 block">Replicates per combination</Label>
+            <Input
+              id="experiment-replicates"
+              type="number"
+              min={1}
+              value={replicates}
+              onChange={(event) => setReplicates(event.target.value)}
+            />
+          </div>
+          <div>
+            <Label htmlFor="experiment-generations" className="mb-2 block">Generation limit</Label>
+            <Input
+              id="experiment-generations"
+              type="number"
+              min={1}
+              value={generations}
+              onChange={(event) => setGenerations(event.target.value)}
+            />
+          </div>
+        </div>
+
+        <div className="flex items-center gap-4">
+          {status === 'running' ? (
+            <Button onClick={runner.cancel} variant="secondary">
+              <SquareIcon className="mr-2 h-4 w-4" />
+              Cancel
+            </Button>
+          ) : (
+            <Button onClick={runExperiment}>
+              <PlayIcon className="mr-2 h-4 w-4" />
+              Run {totalRuns} simulations
+            </Button>
+          )}
+
+          {progress.total > 0 && (
+            <div className="flex-1 space-y-1">
+              <Progress value={(progress.completed / progress.total) * 100} />
+              <p className="text-xs text-muted-foreground">
+                {progress.completed} / {progress.total} runs
+                {status === 'cancelled' && ' (cancelled)'}
+              </p>
+            </div>
+          )}
+        </div>
+
+        {errors.length > 0 && (
+          <p className="text-sm text-destructive">
+            {errors.length} runs failed: {errors[0]}
+          </p>
+        )}
+
+        {experiment && summary.some(cell => cell.runs > 0) && (
+          <div className="space-y-4">
+            <div className="flex items-center gap-2">
+              <Label>Heatmap</Label>
+              <Select value={metric} onValueChange={setMetric}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {EXPERIMENT_METRICS.map(({ key, label }) => (
+                    <SelectItem key={key} value={key}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <ResultsHeatmap experiment={experiment} summary={summary} metric={metric} />
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  {experiment.axes.map(axis => (
+                    <TableHead key={axis.parameter}>{getSweepParameter(axis.parameter).label}</TableHead>
+                  ))}
+                  <TableHead>Runs</TableHead>
+                  {EXPERIMENT_METRICS.map(({ key, label }) => (
+                    <TableHead key={key}>{label} (95% CI)</TableHead>
+                  ))}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {summary.map(cell => (
+                  <TableRow key={cell.index}>
+                    {cell.values.map((value, i) => (
+                      <TableCell key={i}>{formatNumber(value)}</TableCell>
+                    ))}
+                    <TableCell>{cell.runs}</TableCell>
+                    {EXPERIMENT_METRICS.map(({ key }) => (
+                      <TableCell key={key}>{formatEstimate(cell[key])}</TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <p className="text-xs text-muted-foreground">
+              Outcomes at generation {experiment.generations} (or at extinction). Mean resistance is averaged over surviving runs.
+            </p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ExperimentsPanel;
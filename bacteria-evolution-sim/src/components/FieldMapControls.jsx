@@ -0,0 +1,123 @@
+import { useState, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { UploadIcon, XIcon } from 'lucide-react';
+import { readImageChannels } from '@/lib/utils';
+
+// Fields that can be loaded from an image, with the RGB channel each reads from a colour image
+const MAP_FIELDS = [
+  { field: 'nutrients', label: 'Nutrients', channel: 'red' },
+  { field: 'toxicity', label: 'Toxicity', channel: 'green' },
+  { field: 'antibiotics', label: 'Antibiotics', channel: 'blue' }
+];
+
+/**
+ * Hidden file input opened by a button
+ */
+const ImageUploadButton = ({ onFile, children, ...buttonProps }) => {
+  const inputRef = useRef(null);
+
+  return (
+    <>
+      <Button onClick={() => inputRef.current?.click()} variant="outline" {...buttonProps}>
+        {children}
+      </Button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="image/*"
+        className="hidden"
+        onChange={(event) => {
+          const file = event.target.files[0];
+          event.target.value = '';
+          if (file) onFile(file);
+        }}
+      />
+    </>
+  );
+};
+
+/**
+ * Component for loading nutrient, toxicity and antibiotic maps from images
+ */
+const FieldMapControls = ({ params, updateParams }) => {
+  const [error, setError] = useState(null);
+  const maps = params.fieldMaps || {};
+
+  // Decode an image and store the chosen channel of it as each field's map
+  const loadImage = async (file, channelsByField) => {
+    try {
+      const image = await readImageChannels(file);
+      const loaded = {};
+      for (const [field, channel] of Object.entries(channelsByField)) {
+        loaded[field] = { name: file.name, width: image.width, height: image.height, levels: image[channel] };
+      }
+
+      updateParams({ fieldMaps: { ...maps, ...loaded } });
+      setError(null);
+    } catch (loadError) {
+      console.error("Failed to load field map:", loadError);
+      setError(`Could not load ${file.name}: ${loadError.message}`);
+    }
+  };
+
+  // Remove one field's map, returning it to its generated pattern
+  const clearMap = (field) => {
+    const { [field]: removed, ...remaining } = maps;
+    updateParams({ fieldMaps: remaining });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <Label className="block">Field Maps</Label>
+        <p className="text-xs text-muted-foreground mt-1">
+          Load a grayscale image per field, or one colour image whose red, green and blue channels hold nutrients, toxicity and antibiotics. Black is none, mid grey the level set above and white twice it. A map replaces the field's pattern and is resampled to the grid.
+        </p>
+      </div>
+
+      {MAP_FIELDS.map(({ field, label }) => (
+        <div key={field} className="flex items-center gap-2">
+          <div className="flex-1 min-w-0">
+            <Label className="block">{label}</Label>
+            <span className="text-xs text-muted-foreground block truncate">
+              {maps[field] ? `${maps[field].name} (${maps[field].width}×${maps[field].height})` : 'Generated pattern'}
+            </span>
+          </div>
+
+          <ImageUploadButton
+            onFile={(file) => loadImage(file, { [field]: 'luminance' })}
+            size="icon"
+            title={`Load ${label.toLowerCase()} map`}
+          >
+            <UploadIcon className="h-4 w-4" />
+          </ImageUploadButton>
+
+          <Button
+            onClick={() => clearMap(field)}
+            variant="outline"
+            size="icon"
+            title={`Clear ${label.toLowerCase()} map`}
+            disabled={!maps[field]}
+          >
+            <XIcon className="h-4 w-4" />
+          </Button>
+        </div>
+      ))}
+
+      <ImageUploadButton
+        onFile={(file) => loadImage(file, Object.fromEntries(MAP_FIELDS.map(({ field, channel }) => [field, channel])))}
+        className="w-full"
+      >
+        <UploadIcon className="mr-2 h-4 w-4" />
+        Load RGB Image
+      </ImageUploadButton>
+
+      {error && (
+        <p className="text-sm text-destructive">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default FieldMapControls;
@@ -0,0 +1,95 @@
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { DEFAULT_MUTATION_SETTINGS, MUTATION_DISTRIBUTIONS, MUTATION_MODES } from '@/lib/Mutation';
+import { TRAIT_LABELS } from '@/lib/Bacterium';
+import NumberField from './NumberField';
+
+/**
+ * Component for configuring how traits mutate and the bounds they are kept within
+ */
+const MutationControls = ({ params, updateParams }) => {
+  const settings = params.mutationSettings || {};
+
+  // Update one setting of one trait, keeping the others
+  const updateTrait = (trait, changes) => {
+    const current = { ...DEFAULT_MUTATION_SETTINGS[trait], ...settings[trait] };
+    const next = { ...current, ...changes };
+
+    // Bounds that cross would pin the trait to one value
+    if (next.min > next.max || next.step < 0) return;
+
+    updateParams({ mutationSettings: { ...settings, [trait]: next } });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <p className="text-xs text-muted-foreground">
+          How much each trait changes when it mutates, and the range it is kept within. Multiplicative
+          steps are relative to the current value, additive steps are in the trait's own units. Bounds
+          also limit traits expressed by the genome model. Changes apply immediately.
+        </p>
+        <Button
+          onClick={() => updateParams({ mutationSettings: {} })}
+          variant="outline"
+          size="sm"
+        >
+          Defaults
+        </Button>
+      </div>
+
+      {Object.keys(DEFAULT_MUTATION_SETTINGS).map((trait) => {
+        const setting = { ...DEFAULT_MUTATION_SETTINGS[trait], ...settings[trait] };
+
+        return (
+          <div key={trait} className="space-y-2">
+            <Label className="block">{TRAIT_LABELS[trait]}</Label>
+
+            <div className="grid grid-cols-2 gap-2">
+              <Select
+                value={setting.distribution}
+                onValueChange={(distribution) => updateTrait(trait, { distribution })}
+              >
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {MUTATION_DISTRIBUTIONS.map((distribution) => (
+                    <SelectItem key={distribution.value} value={distribution.value}>
+                      {distribution.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+
+              <Select
+                value={setting.mode}
+                onValueChange={(mode) => updateTrait(trait, { mode })}
+              >
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {MUTATION_MODES.map((mode) => (
+                    <SelectItem key={mode.value} value={mode.value}>
+                      {mode.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="grid grid-cols-3 gap-2">
+              <NumberField label="Step" value={setting.step} onChange={(step) => updateTrait(trait, { step })} />
+              <NumberField label="Min" value={setting.min} onChange={(min) => updateTrait(trait, { min })} />
+              <NumberField label="Max" value={setting.max} onChange={(max) => updateTrait(trait, { max })} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MutationControls;
@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+
+/**
+ * Number input that keeps what is typed and only reports valid numbers
+ */
+const NumberField = ({ label, value, onChange }) => {
+  const [text, setText] = useState(String(value));
+
+  // Follow outside changes (presets, snapshots) without overwriting a number being typed
+  useEffect(() => {
+    setText(current => (Number(current) === value ? current : String(value)));
+  }, [value]);
+
+  return (
+    <div>
+      <Label className="text-xs text-muted-foreground mb-1 block">{label}</Label>
+      <Input
+        type="number"
+        value={text}
+        onChange={(event) => {
+          setText(event.target.value);
+          const number = Number(event.target.value);
+          if (event.target.value !== '' && Number.isFinite(number)) onChange(number);
+        }}
+      />
+    </div>
+  );
+};
+
+export default NumberField;
@@ -0,0 +1,84 @@
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Slider } from '@/components/ui/slider';
+import { MousePointer2Icon, BrushIcon, BrickWallIcon, EraserIcon } from 'lucide-react';
+
+// Tools of the palette; brushes are named after the field they paint into
+const PAINT_TOOLS = [
+  { tool: null, label: 'None', icon: MousePointer2Icon },
+  { tool: 'nutrients', label: 'Nutrients', icon: BrushIcon, color: 'rgb(0, 128, 0)' },
+  { tool: 'toxins', label: 'Toxins', icon: BrushIcon, color: 'rgb(255, 0, 0)' },
+  { tool: 'antibiotics', label: 'Antibiotics', icon: BrushIcon, color: 'rgb(0, 64, 255)' },
+  { tool: 'wall', label: 'Wall', icon: BrickWallIcon },
+  { tool: 'eraser', label: 'Eraser', icon: EraserIcon }
+];
+
+/**
+ * Palette of tools for painting fields and walls onto the simulation canvas
+ */
+const PaintToolbar = ({ paintTool, setPaintTool, onClearWalls, className = '' }) => {
+  const { tool, size, strength } = paintTool;
+  const isBrush = tool !== null && tool !== 'wall' && tool !== 'eraser';
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="flex flex-wrap gap-2">
+        {PAINT_TOOLS.map(({ tool: option, label, icon: Icon, color }) => (
+          <Button
+            key={label}
+            onClick={() => setPaintTool({ ...paintTool, tool: option })}
+            variant={tool === option ? 'default' : 'outline'}
+            size="sm"
+          >
+            <Icon className="mr-2 h-4 w-4" style={color ? { color } : undefined} />
+            {label}
+          </Button>
+        ))}
+
+        <Button onClick={onClearWalls} variant="outline" size="sm" className="ml-auto">
+          Clear Walls
+        </Button>
+      </div>
+
+      {tool !== null && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <div className="flex justify-between mb-2">
+              <Label>Brush Radius</Label>
+              <span className="text-sm text-muted-foreground">{size}px</span>
+            </div>
+            <Slider
+              value={[size]}
+              min={5}
+              max={150}
+              step={5}
+              onValueChange={(value) => setPaintTool({ ...paintTool, size: value[0] })}
+            />
+          </div>
+
+          {tool !== 'wall' && (
+            <div>
+              <div className="flex justify-between mb-2">
+                <Label>{isBrush ? 'Brush Level' : 'Eraser Strength'}</Label>
+                <span className="text-sm text-muted-foreground">{Math.round(strength * 100)}%</span>
+              </div>
+              <Slider
+                value={[strength]}
+                min={0}
+                max={1}
+                step={0.05}
+                onValueChange={(value) => setPaintTool({ ...paintTool, strength: value[0] })}
+              />
+              <div className="flex justify-between mt-1">
+                <span className="text-xs text-muted-foreground">{isBrush ? 'None' : 'Gentle'}</span>
+                <span className="text-xs text-muted-foreground">{isBrush ? 'Field maximum' : 'Full restore'}</span>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaintToolbar;
@@ -0,0 +1,190 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Button } from '@/components/ui/button';
+
+// How often the genealogy is refreshed from the simulation
+const REFRESH_INTERVAL = 1000;
+
+// Vertical space per lineage in the tree
+const ROW_HEIGHT = 6;
+
+// Width of the drawing in SVG units (scaled to fit the container)
+const TREE_WIDTH = 1000;
+
+/**
+ * Lay out genealogy nodes with one row per node, in depth-first order
+ * @param {Array<Object>} nodes - Genealogy nodes
+ * @returns {Object} - Positioned nodes, children by parent id, and row count
+ */
+const layoutGenealogy = (nodes) => {
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const children = new Map();
+  const roots = [];
+
+  for (const node of nodes) {
+    if (byId.has(node.parentId)) {
+      if (!children.has(node.parentId)) children.set(node.parentId, []);
+      children.get(node.parentId).push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  // Older branches first so the tree reads top to bottom in time
+  const byBranch = (a, b) => a.branchGeneration - b.branchGeneration;
+  roots.sort(byBranch);
+  children.forEach(list => list.sort(byBranch));
+
+  const rows = new Map();
+  const stack = [...roots].reverse();
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    rows.set(node.id, rows.size);
+
+    const nodeChildren = children.get(node.id) || [];
+    for (let i = nodeChildren.length - 1; i >= 0; i--) {
+      stack.push(nodeChildren[i]);
+    }
+  }
+
+  return { byId, children, rows, rowCount: rows.size };
+};
+
+/**
+ * Interactive phylogenetic tree of the living population.
+ * Clicking a branch highlights its living descendants on the canvas.
+ */
+const PhylogenyTree = ({ getGenealogy, selectedLineage, onSelectLineage }) => {
+  const [genealogy, setGenealogy] = useState(null);
+
+  // Poll the simulation for its genealogy while the tree is visible
+  useEffect(() => {
+    let cancelled = false;
+
+    const refresh = () => {
+      getGenealogy()
+        .then(data => {
+          if (!cancelled) setGenealogy(data);
+        })
+        .catch(() => {
+          // The simulation was reset; the next refresh will pick up the new one
+        });
+    };
+
+    refresh();
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [getGenealogy]);
+
+  const layout = useMemo(() => genealogy && layoutGenealogy(genealogy.nodes), [genealogy]);
+
+  // Nodes in the selected subtree are drawn highlighted
+  const selectedNodes = useMemo(() => {
+    const selected = new Set();
+    if (!layout || selectedLineage === null) return selected;
+
+    const stack = [selectedLineage];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (!layout.byId.has(id)) continue;
+
+      selected.add(id);
+      (layout.children.get(id) || []).forEach(child => stack.push(child.id));
+    }
+    return selected;
+  }, [layout, selectedLineage]);
+
+  if (!genealogy || !layout || layout.rowCount === 0) {
+    return <p className="text-sm text-muted-foreground">No living lineages</p>;
+  }
+
+  const firstGeneration = Math.min(...genealogy.nodes.map(node => node.branchGeneration));
+  const span = Math.max(1, genealogy.generation - firstGeneration);
+  const x = (generation) => ((generation - firstGeneration) / span) * TREE_WIDTH;
+  const y = (id) => layout.rows.get(id) * ROW_HEIGHT + ROW_HEIGHT / 2;
+  const height = layout.rowCount * ROW_HEIGHT;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-between items-center text-xs text-muted-foreground">
+        <span>
+          {genealogy.nodes.filter(node => node.alive).length} living, {genealogy.nodes.length} lineage nodes
+          (generations {firstGeneration}-{genealogy.generation})
+        </span>
+        {selectedLineage !== null && (
+          <Button onClick={() => onSelectLineage(null)} variant="ghost" size="sm">
+            Clear selection
+          </Button>
+        )}
+      </div>
+
+      <div className="max-h-64 overflow-y-auto border rounded-md">
+        <svg
+          viewBox={`0 0 ${TREE_WIDTH} ${height}`}
+          preserveAspectRatio="none"
+          width="100%"
+          height={height}
+        >
+          {genealogy.nodes.map(node => {
+            const end = node.alive ? genealogy.generation : node.deathGeneration ?? genealogy.generation;
+            const parent = layout.byId.get(node.parentId);
+            const selected = selectedNodes.has(node.id);
+            const stroke = selected ? 'var(--color-chart-1)' : 'var(--color-muted-foreground)';
+
+            return (
+              <g key={node.id} onClick={() => onSelectLineage(node.id)} className="cursor-pointer">
+                {/* Connector from the parent's lifeline where the lineage branched off */}
+                {parent && (
+                  <line
+                    x1={x(node.branchGeneration)}
+                    y1={y(parent.id)}
+                    x2={x(node.branchGeneration)}
+                    y2={y(node.id)}
+                    stroke={stroke}
+                    strokeWidth={1}
+                    vectorEffect="non-scaling-stroke"
+                  />
+                )}
+                {/* Lifeline from the branch point to death (or to now) */}
+                <line
+                  x1={x(node.branchGeneration)}
+                  y1={y(node.id)}
+                  x2={x(end)}
+                  y2={y(node.id)}
+                  stroke={stroke}
+                  strokeWidth={selected ? 2 : 1}
+                  strokeDasharray={node.alive ? undefined : '3 2'}
+                  vectorEffect="non-scaling-stroke"
+                />
+                {/* Wider invisible target so thin branches are easy to click */}
+                <line
+                  x1={x(node.branchGeneration)}
+                  y1={y(node.id)}
+                  x2={x(end)}
+                  y2={y(node.id)}
+                  stroke="transparent"
+                  strokeWidth={ROW_HEIGHT}
+                  vectorEffect="non-scaling-stroke"
+                >
+                  <title>
+                    {`#${node.id}, born generation ${node.birthGeneration}, ${node.mutations.length} mutations`}
+                  </title>
+                </line>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      <p className="text-xs text-muted-foreground">
+        Time runs left to right. Dashed lines are dead ancestors; click a branch to highlight its living descendants.
+      </p>
+    </div>
+  );
+};
+
+export default PhylogenyTree;
@@ -1,46 +1,302 @@
-import { useRef, useEffect } from 'react';
+import { useRef, useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { ZoomInIcon, ZoomOutIcon, MaximizeIcon, LocateFixedIcon } from 'lucide-react';
+import useAnimationFrame from '@/hooks/useAnimationFrame';
+import { applyCamera } from '@/lib/renderer';
+import { clamp } from '@/lib/utils';
+
+// Closest zoom, and furthest zoom relative to fitting the whole arena
+const MAX_ZOOM = 20;
+const MIN_ZOOM_OF_FIT = 0.5;
+
+// Zoom change per button press, and per pixel of mouse wheel movement
+const ZOOM_STEP = 1.5;
+const WHEEL_ZOOM_RATE = 0.002;
+
+// Pointer movement (in screen pixels) after which a press becomes a drag rather than a click
+const DRAG_THRESHOLD = 4;
 
 /**
- * Canvas component for visualizing the bacteria simulation
+ * Canvas component for visualizing the bacteria simulation.
+ * Redraws continuously so new frames from the simulation worker appear
+ * without re-rendering the React tree. The view is drawn through a camera
+ * that can be zoomed with the mouse wheel, panned by dragging (or with the
+ * middle button while painting), fitted to the arena, or set to follow a
+ * bacterium. When a paint tool is selected, dragging paints with it;
+ * otherwise clicking inspects.
  */
-const SimulationCanvas = ({ 
-  width = 800, 
-  height = 600, 
-  draw, 
+const SimulationCanvas = ({
+  width = 800,
+  height = 600,
+  draw,
   showNutrients = true,
   showToxicity = true,
+  showAntibiotics = true,
+  paintTool = null,
+  onPaint,
+  onInspect,
+  getArena,
+  getFollowTarget,
+  canFollow = false,
   className = ''
 }) => {
   const canvasRef = useRef(null);
-  
-  // Set up canvas and draw simulation
+
+  // Camera: world position at the centre of the view and zoom factor
+  const cameraRef = useRef({ x: width / 2, y: height / 2, zoom: 1 });
+
+  // Arena the camera was last fitted to, so a resized arena is fitted again
+  const arenaRef = useRef(null);
+
+  // Pointer position over the canvas in world coordinates (null when outside),
+  // the press being dragged and the last painted point of a stroke
+  const pointerRef = useRef(null);
+  const dragRef = useRef(null);
+  const strokeRef = useRef(null);
+
+  const [following, setFollowing] = useState(false);
+  const followingRef = useRef(false);
+  followingRef.current = following && canFollow;
+
+  // Stop following when there is nothing to follow
+  useEffect(() => {
+    if (!canFollow) setFollowing(false);
+  }, [canFollow]);
+
+  const painting = paintTool && paintTool.tool !== null;
+
+  // Get the arena dimensions, falling back to the canvas size before the first frame
+  const currentArena = () => (getArena && getArena()) || { width, height };
+
+  // Zoom at which the whole arena fits the view
+  const fitZoom = (arena) => Math.min(width / arena.width, height / arena.height);
+
+  // Keep the camera's zoom in range and its centre over the arena
+  const constrainCamera = () => {
+    const camera = cameraRef.current;
+    const arena = currentArena();
+
+    camera.zoom = clamp(camera.zoom, fitZoom(arena) * MIN_ZOOM_OF_FIT, MAX_ZOOM);
+    camera.x = clamp(camera.x, 0, arena.width);
+    camera.y = clamp(camera.y, 0, arena.height);
+  };
+
+  // Show the whole arena
+  const fitToArena = () => {
+    const arena = currentArena();
+    cameraRef.current = { x: arena.width / 2, y: arena.height / 2, zoom: fitZoom(arena) };
+    setFollowing(false);
+  };
+
+  // Zoom by a factor, keeping the world point under a screen position in place
+  const zoomAt = (factor, screenX = width / 2, screenY = height / 2) => {
+    const camera = cameraRef.current;
+    const worldX = camera.x + (screenX - width / 2) / camera.zoom;
+    const worldY = camera.y + (screenY - height / 2) / camera.zoom;
+
+    camera.zoom *= factor;
+    constrainCamera();
+    camera.x = worldX - (screenX - width / 2) / camera.zoom;
+    camera.y = worldY - (screenY - height / 2) / camera.zoom;
+    constrainCamera();
+  };
+
+  // Draw the latest simulation frame
+  useAnimationFrame(
+    () => {
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+
+      const ctx = canvas.getContext('2d');
+      if (!ctx) return;
+
+      // Fit the camera to a new or resized arena
+      const arena = currentArena();
+      if (!arenaRef.current || arenaRef.current.width !== arena.width || arenaRef.current.height !== arena.height) {
+        arenaRef.current = arena;
+        cameraRef.current = { x: arena.width / 2, y: arena.height / 2, zoom: fitZoom(arena) };
+      }
+
+      // Centre on the followed bacterium while it is alive
+      const target = followingRef.current && getFollowTarget ? getFollowTarget() : null;
+      if (target) {
+        cameraRef.current.x = target.x;
+        cameraRef.current.y = target.y;
+      }
+
+      // Clear canvas
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+
+      // Draw simulation if draw function is provided
+      if (draw) {
+        draw(ctx, { showNutrients, showToxicity, showAntibiotics, camera: cameraRef.current });
+      }
+
+      // Outline the brush under the pointer
+      if (painting && pointerRef.current) {
+        ctx.save();
+        applyCamera(ctx, cameraRef.current);
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.lineWidth = 1 / cameraRef.current.zoom;
+        ctx.setLineDash([4 / cameraRef.current.zoom, 4 / cameraRef.current.zoom]);
+        ctx.beginPath();
+        ctx.arc(pointerRef.current.x, pointerRef.current.y, paintTool.size, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+      }
+    },
+    true,
+    30 // Target 30 FPS
+  );
+
+  // Latest zoom function, read by the wheel listener so it is only registered once
+  const zoomAtRef = useRef(zoomAt);
+  useEffect(() => {
+    zoomAtRef.current = zoomAt;
+  });
+
+  // Zoom with the mouse wheel; registered directly so the page does not scroll
   useEffect(() => {
     const canvas = canvasRef.current;
-    if (!canvas) return;
-    
-    const ctx = canvas.getContext('2d');
-    if (!ctx) return;
-    
-    // Clear canvas
-    ctx.clearRect(0, 0, width, height);
-    
-    // Draw simulation if draw function is provided
-    if (draw) {
-      draw(ctx, { showNutrients, showToxicity });
+
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      zoomAtRef.current(
+        Math.exp(-event.deltaY * WHEEL_ZOOM_RATE),
+        (event.clientX - rect.left) * (canvas.width / rect.width),
+        (event.clientY - rect.top) * (canvas.height / rect.height)
+      );
+    };
+
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  // Convert a pointer event to screen (canvas pixel) and world coordinates
+  const toPoints = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const screenX = (event.clientX - rect.left) * (width / rect.width);
+    const screenY = (event.clientY - rect.top) * (height / rect.height);
+    const { x, y, zoom } = cameraRef.current;
+
+    return {
+      screen: { x: screenX, y: screenY },
+      world: { x: x + (screenX - width / 2) / zoom, y: y + (screenY - height / 2) / zoom }
+    };
+  };
+
+  // Paint along the line from the last point of the stroke, with dabs closer than the radius
+  const paintTo = (point) => {
+    const { tool, size, strength } = paintTool;
+    const from = strokeRef.current || point;
+    const spacing = Math.max(size / 2, 1);
+    const steps = Math.max(1, Math.ceil(Math.hypot(point.x - from.x, point.y - from.y) / spacing));
+    const dabs = [];
+
+    for (let i = strokeRef.current ? 1 : 0; i <= steps; i++) {
+      dabs.push({
+        tool,
+        x: from.x + ((point.x - from.x) * i) / steps,
+        y: from.y + ((point.y - from.y) * i) / steps,
+        radius: size,
+        strength
+      });
+    }
+
+    strokeRef.current = point;
+    if (dabs.length > 0) onPaint(dabs);
+  };
+
+  const handlePointerDown = (event) => {
+    const { screen, world } = toPoints(event);
+    const paints = painting && onPaint && event.button === 0;
+
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { mode: paints ? 'paint' : 'pan', start: screen, last: screen, moved: false };
+
+    if (paints) {
+      strokeRef.current = null;
+      paintTo(world);
     }
-  }, [draw, width, height, showNutrients, showToxicity]);
-  
+  };
+
+  const handlePointerMove = (event) => {
+    const { screen, world } = toPoints(event);
+    pointerRef.current = world;
+
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    if (Math.hypot(screen.x - drag.start.x, screen.y - drag.start.y) > DRAG_THRESHOLD) {
+      drag.moved = true;
+    }
+
+    if (drag.mode === 'paint') {
+      paintTo(world);
+    } else if (drag.moved) {
+      // Dragging moves the arena with the pointer, which takes over from following
+      const camera = cameraRef.current;
+      camera.x -= (screen.x - drag.last.x) / camera.zoom;
+      camera.y -= (screen.y - drag.last.y) / camera.zoom;
+      constrainCamera();
+      setFollowing(false);
+    }
+    drag.last = screen;
+  };
+
+  const handlePointerUp = (event) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    strokeRef.current = null;
+    if (event.currentTarget.hasPointerCapture(event.pointerId)) {
+      event.currentTarget.releasePointerCapture(event.pointerId);
+    }
+
+    // A press that did not move is a click
+    if (drag && drag.mode === 'pan' && !drag.moved && event.button === 0 && onInspect) {
+      const { world } = toPoints(event);
+      onInspect(world.x, world.y);
+    }
+  };
+
   return (
     <div className={`relative border border-border rounded-lg overflow-hidden ${className}`}>
       <canvas
         ref={canvasRef}
         width={width}
         height={height}
-        className="block w-full h-full"
+        className={`block w-full h-full touch-none ${painting ? 'cursor-crosshair' : 'cursor-grab'}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onPointerLeave={() => { pointerRef.current = null; }}
       />
+
+      <div className="absolute top-2 right-2 flex gap-1">
+        <Button onClick={() => zoomAt(ZOOM_STEP)} variant="secondary" size="icon" title="Zoom in">
+          <ZoomInIcon className="h-4 w-4" />
+        </Button>
+        <Button onClick={() => zoomAt(1 / ZOOM_STEP)} variant="secondary" size="icon" title="Zoom out">
+          <ZoomOutIcon className="h-4 w-4" />
+        </Button>
+        <Button onClick={fitToArena} variant="secondary" size="icon" title="Fit to arena">
+          <MaximizeIcon className="h-4 w-4" />
+        </Button>
+        <Button
+          onClick={() => setFollowing(!following)}
+          variant={following && canFollow ? 'default' : 'secondary'}
+          size="icon"
+          title="Follow the inspected bacterium"
+          disabled={!canFollow}
+        >
+          <LocateFixedIcon className="h-4 w-4" />
+        </Button>
+      </div>
     </div>
   );
 };
 
 export default SimulationCanvas;
-
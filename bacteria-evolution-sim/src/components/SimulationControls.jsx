@@ -1,7 +1,28 @@
+import { useState, useEffect, useRef } from 'react';
 import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Slider } from '@/components/ui/slider';
-import { PlayIcon, PauseIcon, RefreshCwIcon } from 'lucide-react';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { PlayIcon, PauseIcon, RefreshCwIcon, ShuffleIcon, DownloadIcon, UploadIcon, CircleIcon, SquareIcon } from 'lucide-react';
+import Random from '@/lib/Random';
+import { RECORDING_FORMATS } from '@/lib/Recorder';
+
+// Recording resolutions, relative to the arena
+const RECORDING_SCALES = [
+  { value: 0.25, label: '25%' },
+  { value: 0.5, label: '50%' },
+  { value: 0.75, label: '75%' },
+  { value: 1, label: '100%' }
+];
+
+// Overlays that can be burned into a recording
+const RECORDING_OVERLAYS = [
+  { option: 'showFields', label: 'Fields' },
+  { option: 'showGeneration', label: 'Generation' },
+  { option: 'showLegend', label: 'Legend' }
+];
 
 /**
  * Component for controlling simulation execution
@@ -13,8 +34,85 @@ const SimulationControls = ({
   onStart,
   onPause,
   onReset,
+  seed,
+  onSeedChange,
+  onSaveSnapshot,
+  onLoadSnapshot,
+  recordingStatus = 'idle',
+  recordedFrames = 0,
+  onStartRecording,
+  onStopRecording,
   className = ''
 }) => {
+  const fileInputRef = useRef(null);
+  const [snapshotError, setSnapshotError] = useState(null);
+  
+  // Options for the next recording (see Recorder)
+  const [recordingOptions, setRecordingOptions] = useState({
+    format: 'gif',
+    interval: 5,
+    scale: 0.5,
+    showFields: true,
+    showGeneration: true,
+    showLegend: true
+  });
+  const [recordingError, setRecordingError] = useState(null);
+  const recording = recordingStatus !== 'idle';
+
+  // Text being edited in the seed field
+  const [seedInput, setSeedInput] = useState(String(seed ?? ''));
+  
+  // Keep the field in sync when the seed changes elsewhere
+  useEffect(() => {
+    setSeedInput(String(seed ?? ''));
+  }, [seed]);
+  
+  // Restart the simulation with the entered seed
+  const applySeed = () => {
+    const value = Number(seedInput);
+    if (Number.isInteger(value) && value >= 0) {
+      onSeedChange(value >>> 0);
+    } else {
+      setSeedInput(String(seed ?? ''));
+    }
+  };
+  
+  // Read a snapshot file chosen by the user and restore it
+  const handleSnapshotFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+      await onLoadSnapshot(JSON.parse(await file.text()));
+      setSnapshotError(null);
+    } catch (error) {
+      console.error("Failed to load snapshot:", error);
+      setSnapshotError(`Could not load ${file.name}: ${error.message}`);
+    }
+  };
+  
+  // Start recording, or stop and download the clip
+  const toggleRecording = async () => {
+    if (!recording) {
+      setRecordingError(null);
+      onStartRecording(recordingOptions);
+      return;
+    }
+    
+    try {
+      await onStopRecording();
+    } catch (error) {
+      console.error("Failed to save recording:", error);
+      setRecordingError(`Could not save the recording: ${error.message}`);
+    }
+  };
+  
+  // Change one recording option
+  const updateRecordingOption = (option, value) => {
+    setRecordingOptions(prev => ({ ...prev, [option]: value }));
+  };
+  
   return (
     <div className={`space-y-4 ${className}`}>
       <div className="flex gap-2">
@@ -34,6 +132,143 @@ const SimulationControls = ({
           <RefreshCwIcon className="mr-2 h-4 w-4" />
           Reset
         </Button>
+        
+        <Button
+          onClick={toggleRecording}
+          variant={recording ? 'destructive' : 'outline'}
+          className="flex-1"
+          disabled={recordingStatus === 'encoding'}
+        >
+          {recording ? (
+            <SquareIcon className="mr-2 h-4 w-4" />
+          ) : (
+            <CircleIcon className="mr-2 h-4 w-4 text-red-600" />
+          )}
+          {recordingStatus === 'idle' && 'Record'}
+          {recordingStatus === 'recording' && `Stop (${recordedFrames})`}
+          {recordingStatus === 'encoding' && 'Saving…'}
+        </Button>
+      </div>
+      
+      <div className="space-y-3">
+        <div className="grid grid-cols-2 gap-2">
+          <Select
+            value={recordingOptions.format}
+            onValueChange={(value) => updateRecordingOption('format', value)}
+            disabled={recording}
+          >
+            <SelectTrigger title="Recording format">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {RECORDING_FORMATS.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          
+          <Select
+            value={String(recordingOptions.scale)}
+            onValueChange={(value) => updateRecordingOption('scale', Number(value))}
+            disabled={recording}
+          >
+            <SelectTrigger title="Recording resolution, relative to the arena">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {RECORDING_SCALES.map((option) => (
+                <SelectItem key={option.value} value={String(option.value)}>
+                  {option.label} resolution
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        
+        <div>
+          <div className="flex justify-between mb-2">
+            <Label>Capture Every</Label>
+            <span className="text-sm text-muted-foreground">
+              {recordingOptions.interval} step{recordingOptions.interval === 1 ? '' : 's'}
+            </span>
+          </div>
+          <Slider
+            value={[recordingOptions.interval]}
+            min={1}
+            max={50}
+            step={1}
+            onValueChange={(value) => updateRecordingOption('interval', value[0])}
+            disabled={recording}
+          />
+        </div>
+        
+        <div className="flex flex-wrap gap-4">
+          {RECORDING_OVERLAYS.map(({ option, label }) => (
+            <div key={option} className="flex items-center space-x-2">
+              <Switch
+                id={`recording-${option}`}
+                checked={recordingOptions[option]}
+                onCheckedChange={(checked) => updateRecordingOption(option, checked)}
+                disabled={recording}
+              />
+              <Label htmlFor={`recording-${option}`}>{label}</Label>
+            </div>
+          ))}
+        </div>
+        
+        {recordingError && (
+          <p className="text-sm text-destructive">{recordingError}</p>
+        )}
+      </div>
+      
+      <div className="flex gap-2">
+        <Button onClick={onSaveSnapshot} variant="outline" className="flex-1">
+          <DownloadIcon className="mr-2 h-4 w-4" />
+          Save
+        </Button>
+        
+        <Button onClick={() => fileInputRef.current?.click()} variant="outline" className="flex-1">
+          <UploadIcon className="mr-2 h-4 w-4" />
+          Load
+        </Button>
+        
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={handleSnapshotFile}
+        />
+      </div>
+      
+      {snapshotError && (
+        <p className="text-sm text-destructive">{snapshotError}</p>
+      )}
+      
+      <div>
+        <Label htmlFor="simulation-seed" className="mb-2 block">Random Seed</Label>
+        <div className="flex gap-2">
+          <Input
+            id="simulation-seed"
+            inputMode="numeric"
+            value={seedInput}
+            onChange={(event) => setSeedInput(event.target.value)}
+            onKeyDown={(event) => event.key === 'Enter' && applySeed()}
+          />
+          <Button onClick={applySeed} variant="outline">
+            Apply
+          </Button>
+          <Button
+            onClick={() => onSeedChange(Random.randomSeed())}
+            variant="outline"
+            size="icon"
+            title="Random seed"
+          >
+            <ShuffleIcon className="h-4 w-4" />
+          </Button>
+        </div>
       </div>
       
       <div>
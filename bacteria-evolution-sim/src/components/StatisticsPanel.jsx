@@ -1,13 +1,75 @@
+import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { formatNumber } from '@/lib/utils';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { LineChart, Line, ComposedChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
 import { useState } from 'react';
+import { DownloadIcon } from 'lucide-react';
+import PhylogenyTree from './PhylogenyTree';
+import { DEATH_CAUSES } from '@/lib/Bacterium';
+import { TIMELINE_PARAMETERS, getKeyframeOccurrences } from '@/lib/timeline';
+
+// Colours for the allele frequency lines
+const ALLELE_COLORS = [
+  'var(--color-chart-1)',
+  'var(--color-chart-2)',
+  'var(--color-chart-3)',
+  'var(--color-chart-4)',
+  'var(--color-chart-5)'
+];
+
+// Number of alleles drawn in the sweep chart
+const MAX_TRACKED_ALLELES = 5;
+
+// Display names and colours of the causes of death
+const DEATH_CAUSE_STYLES = {
+  starvation: { label: 'Starvation', color: 'var(--color-chart-1)' },
+  oldAge: { label: 'Old age', color: 'var(--color-chart-2)' },
+  toxicity: { label: 'Toxicity', color: 'var(--color-chart-3)' },
+  antibiotic: { label: 'Antibiotic', color: 'var(--color-chart-4)' },
+  predation: { label: 'Predation', color: 'var(--color-chart-5)' },
+  dilution: { label: 'Dilution', color: 'var(--color-muted-foreground)' }
+};
+
+// Niche traits charted against the environment parameter they track
+const NICHE_TRAITS = [
+  { trait: 'optimalTemperature', label: 'Optimal Temp.', color: 'var(--color-chart-2)', parameter: 'temperature' },
+  { trait: 'optimalPH', label: 'Optimal pH', color: 'var(--color-chart-3)', parameter: 'pH' },
+  { trait: 'toleranceWidth', label: 'Tolerance', color: 'var(--color-chart-4)', parameter: null }
+];
+
+// Timeline markers are only labelled when there are few enough to read
+const MAX_LABELLED_MARKERS = 12;
+
+/**
+ * Draw a vertical line at each generation a timeline keyframe takes effect
+ * @param {Array<Object>} markers - Keyframe occurrences (see getKeyframeOccurrences)
+ * @returns {Array} - Reference lines for a chart with a generation axis
+ */
+const renderTimelineMarkers = (markers) => markers.map(({ generation, keyframe }, index) => (
+  <ReferenceLine
+    key={`marker-${index}`}
+    x={generation}
+    stroke="var(--color-muted-foreground)"
+    strokeDasharray="2 2"
+    label={markers.length <= MAX_LABELLED_MARKERS
+      ? { value: TIMELINE_PARAMETERS.find(({ value }) => value === keyframe.parameter)?.label, position: 'insideTopLeft', fontSize: 10 }
+      : undefined}
+  />
+));
 
 /**
  * Component for displaying simulation statistics
  */
-const StatisticsPanel = ({ statistics, className = '' }) => {
+const StatisticsPanel = ({
+  statistics,
+  getGenealogy,
+  selectedLineage = null,
+  onSelectLineage,
+  onExportPhylogeny,
+  onExportPopulation,
+  className = ''
+}) => {
   const [activeTab, setActiveTab] = useState('population');
   
   if (!statistics) {
@@ -21,24 +83,89 @@ const StatisticsPanel = ({ statistics, className = '' }) => {
     );
   }
   
+  const currentGeneration = statistics.generation || 0;
+  
+  // Histories keep only their most recent entries, one per generation, so an entry's
+  // generation is counted back from the last one recorded
+  const generationOf = (history, index, lastGeneration = currentGeneration) =>
+    lastGeneration - history.length + 1 + index;
+  
+  // Trait and genotype histories are only recorded while the population is alive
+  const extinctFor = statistics.populationHistory.length - 1 -
+    statistics.populationHistory.findLastIndex(value => value > 0);
+  const lastLivingGeneration = currentGeneration - extinctFor;
+  
   // Format population history data for chart
-  const populationData = statistics.populationHistory.map((value, index) => ({
-    generation: index,
+  const populationData = statistics.populationHistory.map((value, index, history) => ({
+    generation: generationOf(history, index),
     population: value
   }));
   
-  // Format trait history data for chart
-  const formatTraitData = (traitName) => {
+  // Conditions each generation, as set by the sliders and the timeline
+  const environmentHistory = statistics.environmentHistory || [];
+  const environmentData = environmentHistory.map((values, index) => ({
+    generation: generationOf(environmentHistory, index),
+    ...values
+  }));
+  
+  // Format trait history data for chart, with the condition the trait tracks if it has one
+  const formatTraitData = (traitName, parameter = null) => {
     if (!statistics.averageTraits[traitName]) return [];
     
-    return statistics.averageTraits[traitName].map((value, index) => ({
-      generation: index,
-      [traitName]: value
-    }));
+    return statistics.averageTraits[traitName].map((value, index, history) => {
+      const generation = generationOf(history, index, lastLivingGeneration);
+      const environment = environmentHistory[environmentHistory.length - 1 - (currentGeneration - generation)];
+      return {
+        generation,
+        [traitName]: value,
+        ...(parameter && environment && { environment: environment[parameter] })
+      };
+    });
   };
   
+  // Format plasmid prevalence history for chart (as a percentage)
+  const plasmidData = (statistics.plasmidHistory || []).map((value, index, history) => ({
+    generation: generationOf(history, index),
+    prevalence: value * 100
+  }));
+  
+  // Format births and deaths by cause per generation for chart
+  const mortalityData = (statistics.deathHistory || []).map((deaths, index, history) => ({
+    generation: generationOf(history, index),
+    births: statistics.birthHistory[index],
+    ...deaths
+  }));
+  
+  // Format genotype diversity history for chart
+  const genotypeData = (statistics.genotypeHistory || []).map((value, index, history) => ({
+    generation: generationOf(history, index, lastLivingGeneration),
+    genotypes: value
+  }));
+  
+  // Keyframes of the environment timeline within the charted generations
+  const timeline = statistics.currentParameters?.timeline;
+  const timelineMarkers = getKeyframeOccurrences(
+    timeline,
+    generationOf(statistics.populationHistory, 0),
+    currentGeneration
+  );
+  const scheduledParameters = TIMELINE_PARAMETERS.filter(({ value }) =>
+    timeline?.keyframes?.some(keyframe => keyframe.parameter === value)
+  );
+  
+  // Follow the alleles that have reached the highest frequencies
+  const alleleHistory = statistics.alleleHistory || [];
+  const peakFrequencies = new Map();
+  alleleHistory.forEach(({ generation, ...frequencies }) => {
+    for (const id in frequencies) {
+      peakFrequencies.set(id, Math.max(peakFrequencies.get(id) || 0, frequencies[id]));
+    }
+  });
+  const trackedAlleles = [...peakFrequencies.keys()]
+    .sort((a, b) => peakFrequencies.get(b) - peakFrequencies.get(a))
+    .slice(0, MAX_TRACKED_ALLELES);
+  
   // Get current statistics
-  const currentGeneration = statistics.generation || 0;
   const currentPopulation = statistics.populationHistory.length > 0
     ? statistics.populationHistory[statistics.populationHistory.length - 1]
     : 0;
@@ -57,12 +184,32 @@ const StatisticsPanel = ({ statistics, className = '' }) => {
         <CardDescription>
           Generation: {currentGeneration} | Population: {currentPopulation}
         </CardDescription>
+        {(onExportPhylogeny || onExportPopulation) && (
+          <div className="flex flex-wrap gap-2 pt-2">
+            {onExportPhylogeny && (
+              <Button onClick={onExportPhylogeny} variant="outline" size="sm">
+                <DownloadIcon className="mr-2 h-4 w-4" />
+                Phylogeny (Newick)
+              </Button>
+            )}
+            {onExportPopulation && (
+              <Button onClick={onExportPopulation} variant="outline" size="sm">
+                <DownloadIcon className="mr-2 h-4 w-4" />
+                Population (CSV)
+              </Button>
+            )}
+          </div>
+        )}
       </CardHeader>
       <CardContent>
         <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
-          <TabsList className="grid grid-cols-3 mb-4">
+          <TabsList className="grid grid-cols-7 mb-4">
             <TabsTrigger value="population">Population</TabsTrigger>
             <TabsTrigger value="traits">Traits</TabsTrigger>
+            <TabsTrigger value="mortality">Mortality</TabsTrigger>
+            <TabsTrigger value="plasmids">Plasmids</TabsTrigger>
+            <TabsTrigger value="genetics">Genetics</TabsTrigger>
+            <TabsTrigger value="lineage">Lineage</TabsTrigger>
             <TabsTrigger value="events">Events</TabsTrigger>
           </TabsList>
           
@@ -82,6 +229,7 @@ const StatisticsPanel = ({ statistics, className = '' }) => {
                     label={{ value: 'Population', angle: -90, position: 'insideLeft' }} 
                   />
                   <Tooltip />
+                  {renderTimelineMarkers(timelineMarkers)}
                   <Line 
                     type="monotone" 
                     dataKey="population" 
@@ -91,6 +239,39 @@ const StatisticsPanel = ({ statistics, className = '' }) => {
                 </LineChart>
               </ResponsiveContainer>
             </div>
+            
+            {/* Conditions the environment timeline schedules */}
+            {scheduledParameters.map(({ value: parameter, label, min, max }) => (
+              <div key={parameter} className="h-32 mt-4">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart
+                    data={environmentData}
+                    margin={{ top: 5, right: 5, left: 5, bottom: 5 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="generation" />
+                    <YAxis 
+                      domain={[min, max]}
+                      label={{ value: label, angle: -90, position: 'insideLeft' }} 
+                    />
+                    <Tooltip formatter={(value) => formatNumber(value)} />
+                    {renderTimelineMarkers(timelineMarkers.filter(({ keyframe }) => keyframe.parameter === parameter))}
+                    <Line 
+                      type="linear" 
+                      dataKey={parameter} 
+                      name={label}
+                      stroke="var(--color-chart-5)" 
+                      dot={false}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            ))}
+            {scheduledParameters.length > 0 && (
+              <p className="text-xs text-muted-foreground mt-2">
+                Dashed lines mark the generations the environment timeline's keyframes take effect.
+              </p>
+            )}
           </TabsContent>
           
           <TabsContent value="traits" className="mt-0">
@@ -119,6 +300,26 @@ const StatisticsPanel = ({ statistics, className = '' }) => {
                 <div className="text-sm font-medium">Mutation Rate</div>
                 <div className="text-2xl">{formatNumber(getLatestTraitValue('mutationRate'))}</div>
               </div>
+              <div className="p-3 border rounded-md">
+                <div className="text-sm font-medium">Chemotactic Sensitivity</div>
+                <div className="text-2xl">{formatNumber(getLatestTraitValue('chemotacticSensitivity'))}</div>
+              </div>
+              <div className="p-3 border rounded-md">
+                <div className="text-sm font-medium">Toxin Avoidance</div>
+                <div className="text-2xl">{formatNumber(getLatestTraitValue('toxinAvoidance'))}</div>
+              </div>
+              <div className="p-3 border rounded-md">
+                <div className="text-sm font-medium">Optimal Temperature</div>
+                <div className="text-2xl">{formatNumber(getLatestTraitValue('optimalTemperature'))}</div>
+              </div>
+              <div className="p-3 border rounded-md">
+                <div className="text-sm font-medium">Optimal pH</div>
+                <div className="text-2xl">{formatNumber(getLatestTraitValue('optimalPH'))}</div>
+              </div>
+              <div className="p-3 border rounded-md">
+                <div className="text-sm font-medium">Tolerance Width</div>
+                <div className="text-2xl">{formatNumber(getLatestTraitValue('toleranceWidth'))}</div>
+              </div>
             </div>
             
             <div className="h-64">
@@ -136,6 +337,7 @@ const StatisticsPanel = ({ statistics, className = '' }) => {
                     label={{ value: 'Resistance', angle: -90, position: 'insideLeft' }} 
                   />
                   <Tooltip />
+                  {renderTimelineMarkers(timelineMarkers)}
                   <Line 
                     type="monotone" 
                     dataKey="resistance" 
@@ -145,6 +347,204 @@ const StatisticsPanel = ({ statistics, className = '' }) => {
                 </LineChart>
               </ResponsiveContainer>
             </div>
+            
+            {/* Niche traits, with the conditions they are adapting to */}
+            {NICHE_TRAITS.map(({ trait, label, color, parameter }) => (
+              <div key={trait} className="h-48 mt-4">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart
+                    data={formatTraitData(trait, parameter)}
+                    margin={{ top: 5, right: 5, left: 5, bottom: 5 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis 
+                      dataKey="generation" 
+                      label={{ value: 'Generation', position: 'insideBottomRight', offset: 0 }} 
+                    />
+                    <YAxis 
+                      domain={['auto', 'auto']}
+                      label={{ value: label, angle: -90, position: 'insideLeft' }} 
+                    />
+                    <Tooltip />
+                    {renderTimelineMarkers(timelineMarkers)}
+                    {parameter && (
+                      <Line
+                        type="linear"
+                        dataKey="environment"
+                        name="Environment"
+                        stroke="var(--color-muted-foreground)"
+                        strokeDasharray="4 4"
+                        dot={false}
+                      />
+                    )}
+                    <Line 
+                      type="monotone" 
+                      dataKey={trait} 
+                      stroke={color} 
+                      dot={false}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            ))}
+          </TabsContent>
+          
+          <TabsContent value="mortality" className="mt-0">
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart
+                  data={mortalityData}
+                  margin={{ top: 5, right: 5, left: 5, bottom: 5 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis 
+                    dataKey="generation" 
+                    label={{ value: 'Generation', position: 'insideBottomRight', offset: 0 }} 
+                  />
+                  <YAxis 
+                    label={{ value: 'Per generation', angle: -90, position: 'insideLeft' }} 
+                  />
+                  <Tooltip />
+                  <Legend />
+                  {renderTimelineMarkers(timelineMarkers)}
+                  {DEATH_CAUSES.map(cause => (
+                    <Area
+                      key={cause}
+                      type="monotone"
+                      dataKey={cause}
+                      name={DEATH_CAUSE_STYLES[cause].label}
+                      stackId="deaths"
+                      stroke={DEATH_CAUSE_STYLES[cause].color}
+                      fill={DEATH_CAUSE_STYLES[cause].color}
+                    />
+                  ))}
+                  <Line
+                    type="monotone"
+                    dataKey="births"
+                    name="Births"
+                    stroke="var(--color-primary)"
+                    dot={false}
+                  />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+            <p className="text-xs text-muted-foreground mt-2">
+              Deaths per generation stacked by cause, with births for comparison.
+            </p>
+          </TabsContent>
+          
+          <TabsContent value="plasmids" className="mt-0">
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart
+                  data={plasmidData}
+                  margin={{ top: 5, right: 5, left: 5, bottom: 5 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis 
+                    dataKey="generation" 
+                    label={{ value: 'Generation', position: 'insideBottomRight', offset: 0 }} 
+                  />
+                  <YAxis 
+                    domain={[0, 100]}
+                    label={{ value: 'Carriers (%)', angle: -90, position: 'insideLeft' }} 
+                  />
+                  <Tooltip formatter={(value) => `${formatNumber(value)}%`} />
+                  {renderTimelineMarkers(timelineMarkers)}
+                  <Line 
+                    type="monotone" 
+                    dataKey="prevalence" 
+                    stroke="var(--color-chart-2)" 
+                    dot={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </TabsContent>
+          
+          <TabsContent value="genetics" className="mt-0">
+            {genotypeData.length === 0 ? (
+              <p className="text-sm text-muted-foreground">
+                Enable the genome model in the bacteria settings and reset the simulation to track genotypes.
+              </p>
+            ) : (
+              <div className="space-y-4">
+                <div className="h-48">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart
+                      data={genotypeData}
+                      margin={{ top: 5, right: 5, left: 5, bottom: 5 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="generation" />
+                      <YAxis 
+                        label={{ value: 'Genotypes', angle: -90, position: 'insideLeft' }} 
+                      />
+                      <Tooltip />
+                      <Line 
+                        type="monotone" 
+                        dataKey="genotypes" 
+                        stroke="var(--color-primary)" 
+                        dot={false}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+                
+                <div className="h-48">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart
+                      data={alleleHistory}
+                      margin={{ top: 5, right: 5, left: 5, bottom: 5 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis 
+                        dataKey="generation" 
+                        label={{ value: 'Generation', position: 'insideBottomRight', offset: 0 }} 
+                      />
+                      <YAxis 
+                        domain={[0, 1]}
+                        label={{ value: 'Allele frequency', angle: -90, position: 'insideLeft' }} 
+                      />
+                      <Tooltip />
+                      {trackedAlleles.map((id, index) => (
+                        <Line
+                          key={id}
+                          type="monotone"
+                          dataKey={id}
+                          name={`Allele #${id}`}
+                          stroke={ALLELE_COLORS[index % ALLELE_COLORS.length]}
+                          dot={false}
+                          connectNulls={false}
+                        />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+                
+                <div>
+                  <h3 className="text-sm font-medium mb-2">Most Common Mutations</h3>
+                  <ul className="space-y-1 text-sm">
+                    {(statistics.alleles || []).map(allele => (
+                      <li key={allele.id}>
+                        #{allele.id} {allele.trait} (locus {allele.locus}, effect {formatNumber(allele.effect)},
+                        generation {allele.generation}): {formatNumber(allele.frequency * 100)}%
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            )}
+          </TabsContent>
+          
+          <TabsContent value="lineage" className="mt-0">
+            {getGenealogy && (
+              <PhylogenyTree
+                getGenealogy={getGenealogy}
+                selectedLineage={selectedLineage}
+                onSelectLineage={onSelectLineage}
+              />
+            )}
           </TabsContent>
           
           <TabsContent value="events" className="mt-0">
@@ -163,6 +563,15 @@ const StatisticsPanel = ({ statistics, className = '' }) => {
                 <p className="text-sm text-muted-foreground">No extinction events recorded</p>
               )}
               
+              <h3 className="text-sm font-medium mt-4 mb-2">Deaths by Cause</h3>
+              {statistics.deathCauses && (
+                <ul className="space-y-1 text-sm">
+                  {DEATH_CAUSES.map(cause => (
+                    <li key={cause}>{DEATH_CAUSE_STYLES[cause].label}: {statistics.deathCauses[cause] || 0}</li>
+                  ))}
+                </ul>
+              )}
+              
               <h3 className="text-sm font-medium mt-4 mb-2">Current Environment</h3>
               {statistics.currentParameters && (
                 <ul className="space-y-1 text-sm">
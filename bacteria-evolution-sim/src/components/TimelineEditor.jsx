@@ -0,0 +1,163 @@
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { PlusIcon, Trash2Icon } from 'lucide-react';
+import NumberField from './NumberField';
+import { EMPTY_TIMELINE, INTERPOLATIONS, TIMELINE_PARAMETERS } from '@/lib/timeline';
+
+// Generations between a new keyframe and the last one
+const KEYFRAME_SPACING = 100;
+
+/**
+ * Look up a schedulable parameter
+ * @param {string} parameter - Parameter name
+ * @returns {Object} - Its label, range and default (see TIMELINE_PARAMETERS)
+ */
+const getParameter = (parameter) => TIMELINE_PARAMETERS.find(({ value }) => value === parameter);
+
+/**
+ * Component for scheduling changes of the environment over the generations
+ */
+const TimelineEditor = ({ params, updateParams }) => {
+  const timeline = { ...EMPTY_TIMELINE, ...params.timeline };
+  const { keyframes } = timeline;
+
+  // Replace part of the timeline, keeping the rest
+  const updateTimeline = (changes) => {
+    updateParams({ timeline: { ...timeline, ...changes } });
+  };
+
+  // Update one keyframe, ignoring generations and values out of range
+  const updateKeyframe = (index, changes) => {
+    const next = { ...keyframes[index], ...changes };
+    const { min, max } = getParameter(next.parameter);
+    if (next.generation < 0 || !Number.isInteger(next.generation) || next.value < min || next.value > max) return;
+
+    updateTimeline({ keyframes: keyframes.map((keyframe, i) => (i === index ? next : keyframe)) });
+  };
+
+  // Switch a keyframe to another parameter, starting from that parameter's current level
+  const changeParameter = (index, parameter) => {
+    const { defaultValue } = getParameter(parameter);
+    updateKeyframe(index, { parameter, value: params[parameter] ?? defaultValue });
+  };
+
+  // Add a keyframe after the last one, holding the current temperature
+  const addKeyframe = () => {
+    const lastGeneration = keyframes.reduce((last, keyframe) => Math.max(last, keyframe.generation), -KEYFRAME_SPACING);
+    const { defaultValue } = getParameter('temperature');
+    updateTimeline({
+      keyframes: [
+        ...keyframes,
+        {
+          parameter: 'temperature',
+          generation: lastGeneration + KEYFRAME_SPACING,
+          value: params.temperature ?? defaultValue,
+          interpolation: 'linear'
+        }
+      ]
+    });
+  };
+
+  const removeKeyframe = (index) => {
+    updateTimeline({ keyframes: keyframes.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <Label className="block">Timeline</Label>
+        <p className="text-xs text-muted-foreground mt-1">
+          Keyframes set a condition at a generation. Between two keyframes of the same condition it
+          changes as the later one's interpolation says: a linear ramp, a step at the keyframe or a
+          smooth sine curve. A scheduled condition overrides its slider from its first keyframe on.
+        </p>
+      </div>
+
+      {keyframes.map((keyframe, index) => {
+        const { min, max } = getParameter(keyframe.parameter);
+
+        return (
+          <div key={index} className="p-3 border rounded-md space-y-2">
+            <div className="flex items-end gap-2">
+              <div className="flex-1 min-w-0">
+                <Label className="text-xs text-muted-foreground mb-1 block">Condition</Label>
+                <Select value={keyframe.parameter} onValueChange={(value) => changeParameter(index, value)}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {TIMELINE_PARAMETERS.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="w-28">
+                <Label className="text-xs text-muted-foreground mb-1 block">Interpolation</Label>
+                <Select value={keyframe.interpolation} onValueChange={(value) => updateKeyframe(index, { interpolation: value })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {INTERPOLATIONS.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <Button onClick={() => removeKeyframe(index)} variant="outline" size="icon" title="Remove keyframe">
+                <Trash2Icon className="h-4 w-4" />
+              </Button>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <NumberField
+                label="Generation"
+                value={keyframe.generation}
+                onChange={(generation) => updateKeyframe(index, { generation })}
+              />
+              <NumberField
+                label={`Value (${min}-${max})`}
+                value={keyframe.value}
+                onChange={(value) => updateKeyframe(index, { value })}
+              />
+            </div>
+          </div>
+        );
+      })}
+
+      <Button onClick={addKeyframe} variant="outline" className="w-full">
+        <PlusIcon className="mr-2 h-4 w-4" />
+        Add Keyframe
+      </Button>
+
+      <div className="grid grid-cols-2 gap-2">
+        <NumberField
+          label="Repeat Every (0 = once)"
+          value={timeline.period}
+          onChange={(period) => Number.isInteger(period) && period >= 0 && updateTimeline({ period })}
+        />
+        <NumberField
+          label="Cycles (0 = forever)"
+          value={timeline.cycles}
+          onChange={(cycles) => Number.isInteger(cycles) && cycles >= 0 && updateTimeline({ cycles })}
+        />
+      </div>
+      {timeline.period > 0 && (
+        <p className="text-xs text-muted-foreground">
+          The schedule restarts every {timeline.period} generations, carrying on from its last keyframes to its
+          first. Keyframes at generation {timeline.period} or later are not reached.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TimelineEditor;
@@ -0,0 +1,139 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { buildExperiment, aggregateResults } from '../lib/experiments';
+
+/**
+ * Custom hook for running parameter sweep experiments on a pool of Web Workers
+ * @returns {Object} - Experiment status, aggregated results and controls
+ */
+const useExperimentRunner = () => {
+  // Workers currently running jobs
+  const workersRef = useRef([]);
+
+  // State for the current experiment
+  const [status, setStatus] = useState('idle'); // 'idle' | 'running' | 'done' | 'cancelled'
+  const [experiment, setExperiment] = useState(null);
+  const [results, setResults] = useState([]);
+  const [progress, setProgress] = useState({ completed: 0, total: 0 });
+  const [errors, setErrors] = useState([]);
+
+  // Function to stop all running workers
+  const stopWorkers = () => {
+    workersRef.current.forEach(worker => worker.terminate());
+    workersRef.current = [];
+  };
+
+  // Stop workers when the component using the hook unmounts
+  useEffect(() => stopWorkers, []);
+
+  // Function to run every job of an experiment
+  const run = (config) => {
+    stopWorkers();
+
+    const { cells, jobs } = buildExperiment(config);
+    const queue = [...jobs];
+    const collected = [];
+    const failed = [];
+
+    setExperiment({ axes: config.axes, generations: config.generations, cells });
+    setResults([]);
+    setErrors([]);
+    setProgress({ completed: 0, total: jobs.length });
+
+    // An axis without values leaves nothing to run
+    if (jobs.length === 0) {
+      setStatus('done');
+      return;
+    }
+    setStatus('running');
+
+    // Count a finished job, returning whether it was the last one
+    const completeJob = () => {
+      const completed = collected.length + failed.length;
+      setProgress({ completed, total: jobs.length });
+
+      if (completed === jobs.length) {
+        stopWorkers();
+        setStatus('done');
+        return true;
+      }
+      return false;
+    };
+
+    // Start a worker that takes jobs from the queue until it is empty
+    const startWorker = () => {
+      const worker = new Worker(new URL('../workers/experiment.worker.js', import.meta.url), { type: 'module' });
+      let currentJob = null;
+
+      const dispatch = () => {
+        currentJob = queue.shift() || null;
+        if (currentJob) {
+          worker.postMessage({ type: 'run', job: currentJob });
+        }
+      };
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+
+        if (message.type === 'result') {
+          collected.push(message.result);
+          setResults([...collected]);
+        } else if (message.type === 'error') {
+          failed.push(message.error);
+          setErrors([...failed]);
+        }
+
+        if (!completeJob()) {
+          dispatch();
+        }
+      };
+
+      // A worker that fails to load or throws outside a job fails its job and is replaced
+      worker.onerror = (event) => {
+        event.preventDefault();
+        worker.terminate();
+        workersRef.current = workersRef.current.filter(other => other !== worker);
+        if (!currentJob) return;
+
+        failed.push(event.message || `Worker failed during run ${currentJob.id + 1}`);
+        setErrors([...failed]);
+
+        if (!completeJob() && queue.length > 0) {
+          startWorker();
+        }
+      };
+
+      workersRef.current.push(worker);
+      dispatch();
+    };
+
+    // Leave one core for the UI and the main simulation
+    const poolSize = Math.min(jobs.length, Math.max(1, (navigator.hardwareConcurrency || 2) - 1));
+
+    for (let i = 0; i < poolSize; i++) {
+      startWorker();
+    }
+  };
+
+  // Function to cancel the running experiment, keeping results so far
+  const cancel = () => {
+    stopWorkers();
+    setStatus('cancelled');
+  };
+
+  // Aggregate replicate results per parameter combination
+  const summary = useMemo(() => {
+    return experiment ? aggregateResults(experiment.cells, results) : [];
+  }, [experiment, results]);
+
+  return {
+    status,
+    experiment,
+    summary,
+    progress,
+    errors,
+    run,
+    cancel
+  };
+};
+
+export default useExperimentRunner;
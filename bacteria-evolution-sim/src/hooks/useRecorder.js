@@ -0,0 +1,59 @@
+import { useState, useEffect, useRef } from 'react';
+import Recorder from '../lib/Recorder';
+
+/**
+ * Custom hook for recording the simulation to an animated GIF or PNG frames
+ * @param {Function} onFrame - Subscribes a listener to simulation frames (see useSimulation)
+ * @returns {Object} - Recording status, number of captured frames and controls
+ */
+const useRecorder = (onFrame) => {
+  // Recorder capturing frames, or null when not recording
+  const recorderRef = useRef(null);
+
+  const [status, setStatus] = useState('idle'); // 'idle' | 'recording' | 'encoding'
+  const [frameCount, setFrameCount] = useState(0);
+
+  // Capture frames while recording
+  useEffect(() => {
+    return onFrame((frame) => {
+      const recorder = recorderRef.current;
+      if (recorder && recorder.capture(frame)) {
+        setFrameCount(recorder.frameCount);
+      }
+    });
+  }, [onFrame]);
+
+  // Function to start recording with the given options (see Recorder)
+  const start = (options) => {
+    recorderRef.current = new Recorder(options);
+    setFrameCount(0);
+    setStatus('recording');
+  };
+
+  // Function to stop recording and encode the captured frames (see Recorder.finish).
+  // Stopping before any frame arrived, for example while paused, gives null
+  const stop = async () => {
+    const recorder = recorderRef.current;
+    recorderRef.current = null;
+    if (recorder.frameCount === 0) {
+      setStatus('idle');
+      return null;
+    }
+    setStatus('encoding');
+
+    try {
+      return await recorder.finish();
+    } finally {
+      setStatus('idle');
+    }
+  };
+
+  return {
+    status,
+    frameCount,
+    start,
+    stop
+  };
+};
+
+export default useRecorder;
@@ -1,9 +1,10 @@
-import { useState, useEffect, useRef } from 'react';
-import Simulation from '../lib/Simulation';
-import useAnimationFrame from './useAnimationFrame';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { drawFrame, findBacteriumAt } from '../lib/renderer';
 
 /**
- * Custom hook for managing the bacteria simulation
+ * Custom hook for managing the bacteria simulation.
+ * The simulation itself runs in a Web Worker; this hook sends it commands and
+ * keeps the latest render frame and statistics it sends back.
  * @param {Object} initialOptions - Initial simulation options
  * @param {number} resetTrigger - A dependency to trigger re-initialization
  * @returns {Object} - Simulation state and controls
@@ -13,9 +14,14 @@ const useSimulation = (initialOptions = {}, resetTrigger = 0) => {
   const initialEnvironmentParams = initialOptions.environmentParams || {};
   const initialBacteriaParams = initialOptions.initialBacteriaParams || {};
   const initialPopulation = initialOptions.initialPopulation || 50;
+  const seed = initialOptions.seed;
 
-  // Create simulation instance
-  const simulationRef = useRef(null);
+  // Worker running the simulation, its latest frame and pending request callbacks
+  const workerRef = useRef(null);
+  const frameRef = useRef(null);
+  const frameListenersRef = useRef(new Set());
+  const pendingRequestsRef = useRef(new Map());
+  const nextRequestIdRef = useRef(0);
   
   // State for simulation parameters
   const [environmentParams, setEnvironmentParams] = useState(initialEnvironmentParams);
@@ -28,17 +34,76 @@ const useSimulation = (initialOptions = {}, resetTrigger = 0) => {
   
   // State for simulation data
   const [simulationState, setSimulationState] = useState(null);
+  const [highlightedLineage, setHighlightedLineage] = useState(null);
+  const [inspectedId, setInspectedId] = useState(null);
+  
+  // Property and scale the bacteria are coloured by; kept across resets, so also held in a ref
+  const [colorMode, setColorModeState] = useState({ colorBy: 'default', scale: 'viridis' });
+  const colorModeRef = useRef(colorMode);
+  
+  // Send a command to the simulation worker
+  const post = (type, payload = {}) => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type, ...payload });
+    }
+  };
+  
+  // Send a command to the simulation worker and wait for its response
+  const request = (type, payload = {}) => {
+    return new Promise((resolve, reject) => {
+      if (!workerRef.current) {
+        reject(new Error('Simulation is not running'));
+        return;
+      }
+      
+      const requestId = ++nextRequestIdRef.current;
+      pendingRequestsRef.current.set(requestId, { resolve, reject });
+      workerRef.current.postMessage({ type, requestId, ...payload });
+    });
+  };
   
   // Effect to (re)initialize simulation when resetTrigger changes
   useEffect(() => {
-    simulationRef.current = new Simulation({
-      environmentParams: initialEnvironmentParams,
-      initialBacteriaParams: initialBacteriaParams,
-      initialPopulation: initialPopulation
-    });
+    const worker = new Worker(new URL('../workers/simulation.worker.js', import.meta.url), { type: 'module' });
+    const pendingRequests = pendingRequestsRef.current;
+    const frameListeners = frameListenersRef.current;
+    workerRef.current = worker;
+    frameRef.current = null;
     
-    // Update state with initial simulation state
-    setSimulationState(simulationRef.current.getState());
+    worker.onmessage = (event) => {
+      const message = event.data;
+      
+      if (message.type === 'frame') {
+        frameRef.current = message.frame;
+        frameListeners.forEach(listener => listener(message.frame));
+      } else if (message.type === 'statistics') {
+        setSimulationState(message.state);
+      } else if (message.type === 'response') {
+        const pending = pendingRequests.get(message.requestId);
+        pendingRequests.delete(message.requestId);
+        
+        if (pending && message.error) {
+          pending.reject(new Error(message.error));
+        } else if (pending) {
+          pending.resolve(message.result);
+        }
+      }
+    };
+    
+    worker.onerror = (event) => {
+      console.error("Simulation worker error:", event.message);
+    };
+    
+    worker.postMessage({
+      type: 'init',
+      options: {
+        environmentParams: initialEnvironmentParams,
+        initialBacteriaParams: initialBacteriaParams,
+        initialPopulation: initialPopulation,
+        seed: seed
+      }
+    });
+    worker.postMessage({ type: 'setColorMode', mode: colorModeRef.current });
     
     // Reset internal states to initial values when simulation is re-initialized
     setEnvironmentParams(initialEnvironmentParams);
@@ -46,48 +111,29 @@ const useSimulation = (initialOptions = {}, resetTrigger = 0) => {
     setCurrentInitialPopulation(initialPopulation);
     setRunning(false);
     setSpeed(1);
+    setHighlightedLineage(null);
+    setInspectedId(null);
 
     // Clean up
     return () => {
-      simulationRef.current = null;
+      worker.terminate();
+      workerRef.current = null;
+      
+      pendingRequests.forEach(({ reject }) => reject(new Error('Simulation was reset')));
+      pendingRequests.clear();
     };
   }, [resetTrigger]); // Depend only on resetTrigger
   
   // Update simulation running state
   useEffect(() => {
-    if (simulationRef.current) {
-      if (running) {
-        simulationRef.current.start();
-      } else {
-        simulationRef.current.pause();
-      }
-    }
+    post(running ? 'start' : 'pause');
   }, [running]);
   
   // Update simulation speed
   useEffect(() => {
-    if (simulationRef.current) {
-      simulationRef.current.setSpeed(speed);
-    }
+    post('setSpeed', { speed });
   }, [speed]);
   
-  // Animation loop for simulation updates
-  useAnimationFrame(
-    (deltaTime) => {
-      if (simulationRef.current && running) {
-        // Update simulation multiple times based on speed
-        const steps = Math.max(1, Math.round(speed));
-        
-        for (let i = 0; i < steps; i++) {
-          const state = simulationRef.current.update();
-          setSimulationState(state);
-        }
-      }
-    },
-    true,
-    30 // Target 30 FPS
-  );
-  
   // Function to start the simulation
   const start = () => {
     setRunning(true);
@@ -112,43 +158,128 @@ const useSimulation = (initialOptions = {}, resetTrigger = 0) => {
   
   // Function to update environment parameters
   const updateEnvironment = (params) => {
-    setEnvironmentParams(prev => {
-      const newParams = { ...prev, ...params };
-      
-      if (simulationRef.current) {
-        simulationRef.current.setEnvironmentParameters(newParams);
-      }
-      
-      return newParams;
-    });
+    setEnvironmentParams(prev => ({ ...prev, ...params }));
+    post('setEnvironmentParameters', { params });
   };
   
   // Function to update initial bacteria parameters
   const updateBacteriaParams = (params) => {
-    setBacteriaParams(prev => {
-      const newParams = { ...prev, ...params };
-      
-      if (simulationRef.current) {
-        simulationRef.current.setInitialBacteriaParameters(newParams);
-      }
-      
-      return newParams;
-    });
+    setBacteriaParams(prev => ({ ...prev, ...params }));
+    post('setInitialBacteriaParameters', { params });
   };
   
   // Function to update initial population
   const updateInitialPopulation = (population) => {
     setCurrentInitialPopulation(population);
+    post('setInitialPopulation', { population });
+  };
+  
+  // Function to paint dabs of a tool into the environment (see Environment.paint)
+  const paint = (dabs) => {
+    post('paint', { dabs });
+  };
+  
+  // Function to remove all painted walls
+  const clearWalls = () => {
+    post('clearWalls');
+  };
+  
+  // Function to capture the complete simulation state
+  const saveSnapshot = () => {
+    return request('saveSnapshot');
+  };
+  
+  // Function to replace the simulation with a saved snapshot
+  const loadSnapshot = async (snapshot) => {
+    const { speed: snapshotSpeed } = await request('loadSnapshot', { snapshot });
     
-    if (simulationRef.current) {
-      simulationRef.current.setInitialPopulation(population);
-    }
+    setEnvironmentParams(snapshot.environment.parameters);
+    setBacteriaParams(snapshot.initialBacteriaParams);
+    setCurrentInitialPopulation(snapshot.initialPopulation);
+    setRunning(false);
+    setSpeed(snapshotSpeed);
+    setHighlightedLineage(null);
+    setInspectedId(null);
+  };
+  
+  // Function to fetch the current genealogy of the population (stable so it can be polled)
+  const getGenealogy = useCallback(() => {
+    return request('getGenealogy');
+  }, []); // request only reads refs, so no dependencies are needed
+  
+  // Function to export the genealogy of the current population as a Newick tree
+  const exportPhylogeny = () => {
+    return request('exportPhylogeny');
+  };
+  
+  // Function to export the current population as a CSV table
+  const exportPopulation = () => {
+    return request('exportPopulation');
+  };
+  
+  // Function to highlight the living descendants of a genealogy node (null to clear)
+  const highlightLineage = (id) => {
+    setHighlightedLineage(id);
+    post('highlightLineage', { id });
+  };
+  
+  // Function to choose the property and colour scale the bacteria are coloured by
+  const setColorMode = (mode) => {
+    colorModeRef.current = mode;
+    setColorModeState(mode);
+    post('setColorMode', { mode });
+  };
+  
+  // Function to inspect the bacterium at a position on the canvas (clears the selection on a miss)
+  const inspectAt = (x, y) => {
+    const id = frameRef.current ? findBacteriumAt(frameRef.current, x, y) : null;
+    setInspectedId(id);
+    post('inspect', { id });
   };
   
-  // Function to draw the simulation on a canvas
+  // Function to stop inspecting
+  const clearInspection = () => {
+    setInspectedId(null);
+    post('inspect', { id: null });
+  };
+  
+  // Function to get the dimensions of the arena in the latest frame (null before the first frame)
+  const getArena = () => {
+    if (!frameRef.current) return null;
+    
+    const { width, height } = frameRef.current.environment;
+    return { width, height };
+  };
+  
+  // Function to get the position of a living bacterium in the latest frame (null if it is not there)
+  const getBacteriumPosition = (id) => {
+    const frame = frameRef.current;
+    if (!frame || id === null) return null;
+    
+    const index = frame.ids.indexOf(id);
+    return index === -1 ? null : { x: frame.positions[index * 2], y: frame.positions[index * 2 + 1] };
+  };
+  
+  // Details of the inspected bacterium, once the worker has reported on it
+  const inspected = inspectedId !== null && simulationState?.inspected?.id === inspectedId
+    ? simulationState.inspected
+    : null;
+  
+  // Function to be called with every frame the worker sends; returns a function that stops the calls
+  const onFrame = useCallback((listener) => {
+    frameListenersRef.current.add(listener);
+    return () => frameListenersRef.current.delete(listener);
+  }, []); // Only reads refs, so no dependencies are needed
+  
+  // Function to draw the latest simulation frame on a canvas
   const draw = (ctx, options = {}) => {
-    if (simulationRef.current) {
-      simulationRef.current.draw(ctx, options);
+    if (frameRef.current) {
+      drawFrame(ctx, frameRef.current, {
+        ...options,
+        inspected: inspectedId !== null
+          ? { id: inspectedId, death: inspected && !inspected.alive ? inspected : null }
+          : null
+      });
     }
   };
   
@@ -157,6 +288,7 @@ const useSimulation = (initialOptions = {}, resetTrigger = 0) => {
     state: simulationState,
     
     // Simulation parameters
+    seed,
     environmentParams,
     bacteriaParams,
     initialPopulation: currentInitialPopulation,
@@ -174,8 +306,30 @@ const useSimulation = (initialOptions = {}, resetTrigger = 0) => {
     updateEnvironment,
     updateBacteriaParams,
     updateInitialPopulation,
+    paint,
+    clearWalls,
+    saveSnapshot,
+    loadSnapshot,
+    
+    // Lineage
+    highlightedLineage,
+    getGenealogy,
+    highlightLineage,
+    exportPhylogeny,
+    exportPopulation,
+    
+    // Inspection
+    inspectedId,
+    inspected,
+    inspectAt,
+    clearInspection,
     
-    // Drawing function
+    // Drawing functions
+    colorMode,
+    setColorMode,
+    getArena,
+    getBacteriumPosition,
+    onFrame,
     draw
   };
 };
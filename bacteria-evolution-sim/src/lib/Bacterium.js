@@ -1,3 +1,73 @@
+import Random from './Random.js';
+import MutationModel from './Mutation.js';
+import { clamp } from './utils.js';
+
+/**
+ * Traits passed from parent to offspring (with possible mutation)
+ */
+export const HERITABLE_TRAITS = [
+  'size',
+  'speed',
+  'metabolism',
+  'resistance',
+  'lifespan',
+  'mutationRate',
+  'chemotacticSensitivity',
+  'toxinAvoidance',
+  'optimalTemperature',
+  'optimalPH',
+  'toleranceWidth'
+];
+
+/**
+ * Display names of the heritable traits
+ */
+export const TRAIT_LABELS = {
+  size: 'Size',
+  speed: 'Speed',
+  metabolism: 'Metabolism',
+  resistance: 'Resistance',
+  lifespan: 'Lifespan',
+  mutationRate: 'Mutation Rate',
+  chemotacticSensitivity: 'Chemotactic Sensitivity',
+  toxinAvoidance: 'Toxin Avoidance',
+  optimalTemperature: 'Optimal Temperature',
+  optimalPH: 'Optimal pH',
+  toleranceWidth: 'Tolerance Width'
+};
+
+/**
+ * Causes a bacterium can die of
+ */
+export const DEATH_CAUSES = [
+  'starvation',
+  'oldAge',
+  'toxicity',
+  'antibiotic',
+  'predation',
+  'dilution'
+];
+
+// Probability of tumbling per step when conditions are not changing
+const BASE_TUMBLE_PROBABILITY = 0.1;
+
+// Even a cell heading up a steep gradient occasionally tumbles
+const MIN_TUMBLE_PROBABILITY = 0.01;
+
+// Extra energy spent per unit of tolerance width above 1, so generalists pay for their breadth
+const TOLERANCE_COST = 0.2;
+
+// Toxicity each unit of resistance withstands before acute poisoning sets in
+const TOXIC_TOLERANCE_PER_RESISTANCE = 0.5;
+
+// Body size at which the predation rate applies unchanged; smaller cells are easier prey
+const PREDATION_REFERENCE_SIZE = 5;
+
+/**
+ * Resistance added by the resistance gene a plasmid carries
+ */
+export const PLASMID_RESISTANCE = 1;
+
 /**
  * Bacterium class representing a single bacterium in the simulation
  */
@@ -13,10 +83,26 @@ class Bacterium {
    * @param {number} options.resistance - Resistance to harsh conditions
    * @param {number} options.lifespan - Maximum number of cycles the bacterium can live
    * @param {number} options.mutationRate - Probability of mutation during reproduction
-   * @param {string} options.color - Color representation (derived from properties)
+   * @param {number} options.chemotacticSensitivity - How strongly improving conditions suppress tumbling
+   * @param {number} options.toxinAvoidance - Weight of rising toxicity against rising nutrients when sensing
+   * @param {number} options.optimalTemperature - Temperature at which the bacterium is least stressed
+   * @param {number} options.optimalPH - pH at which the bacterium is least stressed
+   * @param {number} options.toleranceWidth - Breadth of the thermal and pH niche (1 is the ancestral width)
+   * @param {Random} options.rng - Random number generator shared with the simulation
+   * @param {number} options.id - Unique id (assigned by the simulation)
+   * @param {number} options.parentId - Id of the parent (null for founders)
+   * @param {number} options.founderId - Id of the founder the lineage descends from (assigned by the simulation for founders)
+   * @param {number} options.birthGeneration - Generation in which the bacterium was born
+   * @param {number} options.lineageDepth - Number of ancestors back to the founder
+   * @param {Array<Object>} options.mutations - Mutations received at birth ({ trait, from, to })
+   * @param {Object} options.plasmid - Plasmid carried by the bacterium ({ resistance }), or null
+   * @param {Object} options.genome - Genome encoding the traits, when the genome model is enabled
+   * @param {GenomeModel} options.genomeModel - Genome model shared with the simulation
+   * @param {MutationModel} options.mutationModel - Mutation model shared with the simulation (defaults if omitted)
    */
   constructor(options = {}) {
-    this.id = Math.random().toString(36).substring(2, 9);
+    this.rng = options.rng || new Random();
+    this.id = options.id !== undefined ? options.id : null;
     this.x = options.x || 0;
     this.y = options.y || 0;
     this.size = options.size || 5;
@@ -25,26 +111,51 @@ class Bacterium {
     this.resistance = options.resistance || 1;
     this.lifespan = options.lifespan || 100;
     this.mutationRate = options.mutationRate || 0.1;
+    this.chemotacticSensitivity = options.chemotacticSensitivity || 20;
+    this.toxinAvoidance = options.toxinAvoidance || 5;
+    this.optimalTemperature = options.optimalTemperature !== undefined ? options.optimalTemperature : 50;
+    this.optimalPH = options.optimalPH !== undefined ? options.optimalPH : 7;
+    this.toleranceWidth = options.toleranceWidth || 1;
+    
+    // Lineage
+    this.parentId = options.parentId !== undefined ? options.parentId : null;
+    this.founderId = options.founderId !== undefined ? options.founderId : null;
+    this.birthGeneration = options.birthGeneration || 0;
+    this.lineageDepth = options.lineageDepth || 0;
+    this.mutations = options.mutations || [];
+    
+    // Mobile genetic elements
+    this.plasmid = options.plasmid || null;
+    
+    // Optional genome; without one, traits mutate directly
+    this.genome = options.genome || null;
+    this.genomeModel = options.genomeModel || null;
+    
+    // Mutation settings and trait bounds
+    this.mutationModel = options.mutationModel || new MutationModel({ rng: this.rng });
+    for (const trait of HERITABLE_TRAITS) {
+      this[trait] = this.mutationModel.clamp(trait, this[trait]);
+    }
     
     // Internal state
     this.age = 0;
     this.energy = 100;
     this.alive = true;
+    this.causeOfDeath = null;
     this.reproductionCooldown = 0;
-    
-    // Calculate color based on properties (can be overridden)
-    this.color = options.color || this.calculateColor();
+    this.offspringCount = 0;
+    this.inhibited = false; // Growth arrested by antibiotics this step
     
     // Movement vector
-    this.vx = (Math.random() * 2 - 1) * this.speed;
-    this.vy = (Math.random() * 2 - 1) * this.speed;
+    this.vx = this.rng.range(-1, 1) * this.speed;
+    this.vy = this.rng.range(-1, 1) * this.speed;
   }
   
   /**
-   * Calculate color based on bacterium properties
-   * @returns {string} - CSS color string
+   * Calculate the HSL components of the bacterium's color
+   * @returns {Array<number>} - Hue (0-360), saturation and lightness (percent)
    */
-  calculateColor() {
+  calculateColorComponents() {
     // Use HSL color model for easy manipulation
     // Hue based on resistance (0-360)
     const hue = (this.resistance * 120) % 360;
@@ -53,12 +164,18 @@ class Bacterium {
     // Lightness based on speed (30-70%)
     const lightness = 30 + (this.speed * 40);
     
-    return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+    return [hue, saturation, lightness];
   }
   
   /**
    * Update the bacterium state for one simulation step
    * @param {Object} environment - Current environment conditions
+   * @param {Function} environment.consumeNutrients - Takes energy from the local nutrients and returns the amount granted
+   * @param {Array<number>} environment.nutrientGradient - Local nutrient gradient (per pixel along x and y)
+   * @param {Array<number>} environment.toxinGradient - Local toxicity gradient (per pixel along x and y)
+   * @param {Function} environment.secreteToxin - Releases waste into the local toxin field for the energy spent
+   * @param {number} environment.predationRate - Probability per step that a cell of reference size is eaten
+   * @param {number} environment.dilutionRate - Probability per step that a cell is washed out
    * @returns {boolean} - Whether the bacterium is still alive
    */
   update(environment) {
@@ -77,19 +194,50 @@ class Bacterium {
     const tempFactor = this.calculateTemperatureFactor(environment.temperature);
     const pHFactor = this.calculatePHFactor(environment.pH);
     const toxicityFactor = this.calculateToxicityFactor(environment.toxicity);
+    const plasmidFactor = this.plasmid ? 1 + environment.plasmidCost : 1;
+    const toleranceFactor = this.calculateToleranceCost();
     
     // Total energy consumption
-    const energyConsumption = baseConsumption * tempFactor * pHFactor * toxicityFactor;
+    const energyConsumption = baseConsumption * tempFactor * pHFactor * toxicityFactor * plasmidFactor * toleranceFactor;
     
-    // Consume energy
+    // Consume energy, releasing waste into the surroundings
     this.energy -= energyConsumption;
+    environment.secreteToxin(energyConsumption);
     
-    // Gain energy from nutrients
-    this.energy += this.absorbNutrients(environment.nutrients);
+    // Gain energy from nutrients, depleting the local supply
+    this.energy += environment.consumeNutrients(this.absorbNutrients(environment.nutrients));
     
     // Check if bacterium dies
-    if (this.energy <= 0 || this.age >= this.lifespan) {
-      this.alive = false;
+    if (this.energy <= 0) {
+      this.die('starvation');
+      return false;
+    }
+    if (this.age >= this.lifespan) {
+      this.die('oldAge');
+      return false;
+    }
+    
+    // Acute poisoning where toxins exceed what the cell tolerates
+    if (!this.applyToxicity(environment.toxicity)) {
+      this.die('toxicity');
+      return false;
+    }
+    
+    // Antibiotic exposure can kill the cell or arrest its growth
+    if (!this.applyAntibiotic(environment.antibiotics || 0)) {
+      this.die('antibiotic');
+      return false;
+    }
+    
+    // Grazing predators take small cells more easily than large ones
+    if (this.rng.chance((environment.predationRate || 0) * PREDATION_REFERENCE_SIZE / this.size)) {
+      this.die('predation');
+      return false;
+    }
+    
+    // Outflow of the culture washes cells out regardless of their traits
+    if (this.rng.chance(environment.dilutionRate || 0)) {
+      this.die('dilution');
       return false;
     }
     
@@ -105,12 +253,11 @@ class Bacterium {
    * @returns {number} - Multiplier for energy consumption
    */
   calculateTemperatureFactor(temperature) {
-    // Optimal temperature is 50, deviation increases energy consumption
-    const optimalTemp = 50;
-    const deviation = Math.abs(temperature - optimalTemp) / 50;
+    // Deviation from the bacterium's optimum, relative to its tolerance, increases energy consumption
+    const deviation = Math.abs(temperature - this.optimalTemperature) / (50 * this.toleranceWidth);
     
-    // Resistance reduces the impact of temperature
-    const resistanceFactor = 1 - (this.resistance * 0.5);
+    // Resistance reduces the impact of temperature, but never turns stress into a benefit
+    const resistanceFactor = Math.max(0, 1 - (this.resistance * 0.5));
     
     return 1 + (deviation * resistanceFactor);
   }
@@ -121,12 +268,11 @@ class Bacterium {
    * @returns {number} - Multiplier for energy consumption
    */
   calculatePHFactor(pH) {
-    // Optimal pH is 7, deviation increases energy consumption
-    const optimalPH = 7;
-    const deviation = Math.abs(pH - optimalPH) / 7;
+    // Deviation from the bacterium's optimum, relative to its tolerance, increases energy consumption
+    const deviation = Math.abs(pH - this.optimalPH) / (7 * this.toleranceWidth);
     
-    // Resistance reduces the impact of pH
-    const resistanceFactor = 1 - (this.resistance * 0.5);
+    // Resistance reduces the impact of pH, but never turns stress into a benefit
+    const resistanceFactor = Math.max(0, 1 - (this.resistance * 0.5));
     
     return 1 + (deviation * resistanceFactor);
   }
@@ -137,12 +283,83 @@ class Bacterium {
    * @returns {number} - Multiplier for energy consumption
    */
   calculateToxicityFactor(toxicity) {
-    // Resistance reduces the impact of toxicity
-    const resistanceFactor = 1 - (this.resistance * 0.8);
+    // Resistance reduces the impact of toxicity, but never turns stress into a benefit
+    const resistanceFactor = Math.max(0, 1 - (this.resistance * 0.8));
     
     return 1 + (toxicity * resistanceFactor);
   }
   
+  /**
+   * Calculate the cost of maintaining a broad thermal and pH niche
+   * @returns {number} - Multiplier for energy consumption
+   */
+  calculateToleranceCost() {
+    return 1 + (this.toleranceWidth - 1) * TOLERANCE_COST;
+  }
+  
+  /**
+   * Apply acute toxicity for one simulation step
+   * @param {number} toxicity - Local toxicity level
+   * @returns {boolean} - Whether the bacterium survived the exposure
+   */
+  applyToxicity(toxicity) {
+    const tolerance = this.resistance * TOXIC_TOLERANCE_PER_RESISTANCE;
+    if (toxicity <= tolerance) return true;
+    
+    // The further above its tolerance, the more likely the cell is poisoned
+    const excess = 1 - (tolerance / toxicity);
+    return !this.rng.chance(excess * 0.02);
+  }
+  
+  /**
+   * Calculate the minimum inhibitory concentration (MIC) of this bacterium
+   * @returns {number} - Antibiotic concentration above which the cell is inhibited
+   */
+  calculateMIC() {
+    // MIC scales with resistance, so it evolves along with it; a plasmid adds its resistance gene
+    const plasmidResistance = this.plasmid ? this.plasmid.resistance : 0;
+    return (this.resistance + plasmidResistance) * 0.5;
+  }
+  
+  /**
+   * Apply antibiotic pressure for one simulation step
+   * @param {number} concentration - Local antibiotic concentration (0-1)
+   * @returns {boolean} - Whether the bacterium survived the exposure
+   */
+  applyAntibiotic(concentration) {
+    this.inhibited = false;
+    
+    const mic = this.calculateMIC();
+    if (concentration <= mic) return true;
+    
+    // The further above the MIC, the more likely the cell is killed
+    const excess = 1 - (mic / concentration);
+    if (this.rng.chance(excess * 0.1)) {
+      return false;
+    }
+    
+    // Survivors above their MIC cannot divide
+    this.inhibited = true;
+    return true;
+  }
+  
+  /**
+   * Receive a copy of a plasmid through conjugation
+   * @param {Object} plasmid - Plasmid carried by the donor
+   */
+  receivePlasmid(plasmid) {
+    this.plasmid = { ...plasmid };
+  }
+  
+  /**
+   * Mark the bacterium as dead
+   * @param {string} cause - Cause of death (see DEATH_CAUSES)
+   */
+  die(cause) {
+    this.alive = false;
+    this.causeOfDeath = cause;
+  }
+  
   /**
    * Absorb nutrients from the environment
    * @param {number} nutrients - Available nutrients
@@ -158,20 +375,53 @@ class Bacterium {
     return nutrients * absorptionRate * processingEfficiency;
   }
   
+  /**
+   * Calculate the probability of tumbling this step (run-and-tumble chemotaxis)
+   * @param {Object} environment - Current environment conditions
+   * @returns {number} - Tumble probability
+   */
+  calculateTumbleProbability(environment) {
+    const [nutrientX, nutrientY] = environment.nutrientGradient;
+    const [toxinX, toxinY] = environment.toxinGradient;
+    
+    // Rate at which conditions improve along the current run: more nutrients, less toxin
+    const improvement =
+      (nutrientX - this.toxinAvoidance * toxinX) * this.vx +
+      (nutrientY - this.toxinAvoidance * toxinY) * this.vy;
+    
+    // Runs up a favourable gradient are extended, runs down it are cut short
+    const probability = BASE_TUMBLE_PROBABILITY * Math.exp(-this.chemotacticSensitivity * improvement);
+    
+    return clamp(probability, MIN_TUMBLE_PROBABILITY, 1);
+  }
+  
   /**
    * Move the bacterium based on its speed and environment
    * @param {Object} environment - Current environment conditions
    */
   move(environment) {
-    // Occasionally change direction
-    if (Math.random() < 0.1) {
-      this.vx = (Math.random() * 2 - 1) * this.speed;
-      this.vy = (Math.random() * 2 - 1) * this.speed;
+    // Tumble to a random new direction, less often when conditions are improving
+    if (this.rng.chance(this.calculateTumbleProbability(environment))) {
+      this.vx = this.rng.range(-1, 1) * this.speed;
+      this.vy = this.rng.range(-1, 1) * this.speed;
+    }
+    
+    // Walls turn the bacterium back, bouncing off the side it ran into.
+    // One already inside a wall (painted over it) may move so it can get out.
+    const nextX = this.x + this.vx;
+    const nextY = this.y + this.vy;
+    if (environment.isWallAt(nextX, nextY) && !environment.isWallAt(this.x, this.y)) {
+      const blockedX = environment.isWallAt(nextX, this.y);
+      const blockedY = environment.isWallAt(this.x, nextY);
+      
+      if (blockedX || !blockedY) this.vx *= -1;
+      if (blockedY || !blockedX) this.vy *= -1;
+      return;
     }
     
     // Update position
-    this.x += this.vx;
-    this.y += this.vy;
+    this.x = nextX;
+    this.y = nextY;
     
     // Boundary checking
     if (this.x < 0) {
@@ -198,7 +448,7 @@ class Bacterium {
    */
   reproduce(environment) {
     // Check if reproduction is possible
-    if (!this.alive || this.reproductionCooldown > 0 || this.energy < 50) {
+    if (!this.alive || this.inhibited || this.reproductionCooldown > 0 || this.energy < 50) {
       return null;
     }
     
@@ -207,58 +457,134 @@ class Bacterium {
     
     // Set reproduction cooldown
     this.reproductionCooldown = 20;
+    this.offspringCount++;
+    
+    // The child is placed next to its parent, or on top of it if that spot is inside a wall
+    let childX = this.x + this.rng.range(-5, 5);
+    let childY = this.y + this.rng.range(-5, 5);
+    if (environment.isWallAt(childX, childY)) {
+      childX = this.x;
+      childY = this.y;
+    }
     
     // Create offspring with potential mutations
     const childProperties = {
-      x: this.x + (Math.random() * 10 - 5),
-      y: this.y + (Math.random() * 10 - 5),
-      size: this.mutateProperty(this.size),
-      speed: this.mutateProperty(this.speed),
-      metabolism: this.mutateProperty(this.metabolism),
-      resistance: this.mutateProperty(this.resistance),
-      lifespan: this.mutateProperty(this.lifespan),
-      mutationRate: this.mutateProperty(this.mutationRate)
+      x: childX,
+      y: childY,
+      rng: this.rng,
+      parentId: this.id,
+      founderId: this.founderId,
+      birthGeneration: environment.generation,
+      lineageDepth: this.lineageDepth + 1,
+      mutations: [],
+      // The plasmid is passed on unless it fails to segregate into the child
+      plasmid: this.plasmid && !this.rng.chance(environment.plasmidLoss) ? { ...this.plasmid } : null,
+      genomeModel: this.genomeModel,
+      mutationModel: this.mutationModel
     };
     
+    if (this.genome) {
+      // Traits follow from the mutated genome
+      const { genome, substitutions } = this.genomeModel.mutate(this.genome, this.mutationRate, environment.generation);
+      const phenotype = this.genomeModel.express(genome);
+      for (const trait of HERITABLE_TRAITS) {
+        phenotype[trait] = this.mutationModel.clamp(trait, phenotype[trait]);
+      }
+      Object.assign(childProperties, phenotype, { genome });
+      
+      for (const { trait, locus, allele } of substitutions) {
+        childProperties.mutations.push({ trait, from: this[trait], to: phenotype[trait], locus, allele: allele.id });
+      }
+    } else {
+      for (const trait of HERITABLE_TRAITS) {
+        childProperties[trait] = this.mutateProperty(trait, this[trait]);
+        
+        if (childProperties[trait] !== this[trait]) {
+          childProperties.mutations.push({ trait, from: this[trait], to: childProperties[trait] });
+        }
+      }
+    }
+    
     return new Bacterium(childProperties);
   }
   
   /**
    * Mutate a property based on mutation rate
+   * @param {string} trait - Name of the property
    * @param {number} value - Original property value
    * @returns {number} - Mutated property value
    */
-  mutateProperty(value) {
-    if (Math.random() < this.mutationRate) {
-      // Apply mutation
-      const mutationStrength = 0.2; // 20% change max
-      const change = 1 + ((Math.random() * 2 - 1) * mutationStrength);
-      return value * change;
+  mutateProperty(trait, value) {
+    if (this.rng.chance(this.mutationRate)) {
+      // Step size, distribution and bounds come from the mutation model
+      return this.mutationModel.mutate(trait, value);
     }
     return value;
   }
   
   /**
-   * Draw the bacterium on a canvas context
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * Serialize the bacterium's traits and internal state
+   * @returns {Object} - Plain object suitable for JSON
    */
-  draw(ctx) {
-    if (!this.alive) return;
-    
-    ctx.fillStyle = this.color;
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Draw direction indicator
-    const dirX = this.x + this.vx * this.size;
-    const dirY = this.y + this.vy * this.size;
-    
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
-    ctx.beginPath();
-    ctx.moveTo(this.x, this.y);
-    ctx.lineTo(dirX, dirY);
-    ctx.stroke();
+  toJSON() {
+    return {
+      id: this.id,
+      x: this.x,
+      y: this.y,
+      size: this.size,
+      speed: this.speed,
+      metabolism: this.metabolism,
+      resistance: this.resistance,
+      lifespan: this.lifespan,
+      mutationRate: this.mutationRate,
+      chemotacticSensitivity: this.chemotacticSensitivity,
+      toxinAvoidance: this.toxinAvoidance,
+      optimalTemperature: this.optimalTemperature,
+      optimalPH: this.optimalPH,
+      toleranceWidth: this.toleranceWidth,
+      parentId: this.parentId,
+      founderId: this.founderId,
+      birthGeneration: this.birthGeneration,
+      lineageDepth: this.lineageDepth,
+      mutations: this.mutations,
+      plasmid: this.plasmid,
+      genome: this.genome,
+      age: this.age,
+      energy: this.energy,
+      alive: this.alive,
+      causeOfDeath: this.causeOfDeath,
+      reproductionCooldown: this.reproductionCooldown,
+      offspringCount: this.offspringCount,
+      inhibited: this.inhibited,
+      vx: this.vx,
+      vy: this.vy
+    };
+  }
+  
+  /**
+   * Restore a bacterium from serialized data
+   * @param {Object} data - Data produced by toJSON
+   * @param {Random} rng - Random number generator shared with the simulation
+   * @param {GenomeModel} genomeModel - Genome model shared with the simulation (null if disabled)
+   * @param {MutationModel} mutationModel - Mutation model shared with the simulation
+   * @returns {Bacterium} - Restored bacterium
+   */
+  static fromJSON(data, rng, genomeModel = null, mutationModel = null) {
+    const bacterium = new Bacterium({ ...data, rng, genomeModel, mutationModel });
+    
+    // Restore internal state that the constructor initializes
+    bacterium.id = data.id;
+    bacterium.age = data.age;
+    bacterium.energy = data.energy;
+    bacterium.alive = data.alive;
+    bacterium.causeOfDeath = data.causeOfDeath;
+    bacterium.reproductionCooldown = data.reproductionCooldown;
+    bacterium.offspringCount = data.offspringCount;
+    bacterium.inhibited = data.inhibited;
+    bacterium.vx = data.vx;
+    bacterium.vy = data.vy;
+    
+    return bacterium;
   }
 }
 
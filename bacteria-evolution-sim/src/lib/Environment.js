@@ -1,3 +1,36 @@
+import Random from './Random.js';
+import { DEATH_CAUSES } from './Bacterium.js';
+import Field from './Field.js';
+import { generateField, sampleFieldMap } from './fieldGenerators.js';
+import { summarizeGenotypes } from './Genome.js';
+import { EMPTY_TIMELINE, TIMELINE_PARAMETERS, evaluateTimeline } from './timeline.js';
+import { log } from './logger.js';
+
+// Length (in pixels) of the cells diffusion coefficients are expressed in, so
+// they describe the same physical spread at any grid resolution
+const DIFFUSION_LENGTH = 40;
+
+// Parameters that shape the generated nutrient and toxicity patterns
+const FIELD_PATTERN_PARAMETERS = [
+  'nutrientPattern',
+  'nutrientScale',
+  'nutrientOctaves',
+  'toxicityPattern',
+  'toxicityScale',
+  'toxicityOctaves',
+  'fieldSeed'
+];
+
+// Level painted at full brush strength, the top of each field's slider range
+const PAINT_LEVELS = {
+  nutrients: 10,
+  toxins: 1,
+  antibiotics: 1
+};
+
+// Frequency above which a mutation's spread is recorded
+const SWEEP_TRACKING_THRESHOLD = 0.05;
+
 /**
  * Environment class to manage environmental conditions for the bacteria simulation
  */
@@ -13,8 +46,34 @@ class Environment {
    * @param {number} options.toxicity - Toxicity level (0-1)
    * @param {number} options.antibiotics - Antibiotic level (0-1)
    * @param {number} options.carryingCapacity - Maximum population size
+   * @param {number} options.gridColumns - Number of field cells along the x axis
+   * @param {number} options.gridRows - Number of field cells along the y axis
+   * @param {string} options.nutrientPattern - Spatial pattern of the nutrient supply (see FIELD_PATTERNS)
+   * @param {number} options.nutrientScale - Feature size of the nutrient pattern in pixels
+   * @param {number} options.nutrientOctaves - Number of octaves when the nutrient pattern is noise
+   * @param {string} options.toxicityPattern - Spatial pattern of the background toxicity (see FIELD_PATTERNS)
+   * @param {number} options.toxicityScale - Feature size of the toxicity pattern in pixels
+   * @param {number} options.toxicityOctaves - Number of octaves when the toxicity pattern is noise
+   * @param {number} options.fieldSeed - Seed for the field patterns (null to draw one from the simulation)
+   * @param {Object} options.fieldMaps - Image maps ({ width, height, levels }) by field (nutrients, toxicity,
+   *   antibiotics), replacing the generated pattern of each field that has one
+   * @param {number} options.nutrientInflow - Fraction of the nutrient deficit replenished per step (0-0.1)
+   * @param {number} options.nutrientDiffusion - Nutrient diffusion coefficient (40-pixel cells squared per step)
+   * @param {number} options.toxinDiffusion - Toxin diffusion coefficient (40-pixel cells squared per step)
+   * @param {number} options.toxinDecay - Fraction of excess toxin cleared per step (0-0.1)
+   * @param {number} options.toxinSecretion - Toxin secreted per unit of energy bacteria spend
+   * @param {number} options.antibioticDiffusion - Antibiotic diffusion coefficient (40-pixel cells squared per step)
+   * @param {number} options.antibioticDecay - Fraction of the antibiotic deviation from its dose restored per step (0-0.1)
+   * @param {number} options.conjugationRate - Probability per step that a plasmid is transferred to a touching cell
+   * @param {number} options.plasmidCost - Extra energy consumption of plasmid carriers (fraction)
+   * @param {number} options.plasmidLoss - Probability that a plasmid is lost at division
+   * @param {number} options.predationRate - Probability per step that a cell of size 5 is eaten (smaller cells more often)
+   * @param {number} options.dilutionRate - Probability per step that a cell is washed out of the culture
+   * @param {Object} options.timeline - Scheduled changes of the conditions ({ keyframes, period, cycles }, see evaluateTimeline)
+   * @param {Random} options.rng - Random number generator shared with the simulation
    */
   constructor(options = {}) {
+    this.rng = options.rng || new Random();
     this.width = options.width || 800;
     this.height = options.height || 600;
     this.temperature = options.temperature !== undefined ? options.temperature : 50;
@@ -23,8 +82,32 @@ class Environment {
     this.toxicity = options.toxicity !== undefined ? options.toxicity : 0;
     this.antibiotics = options.antibiotics !== undefined ? options.antibiotics : 0;
     this.carryingCapacity = options.carryingCapacity || 200;
+    this.gridColumns = options.gridColumns || 40;
+    this.gridRows = options.gridRows || 30;
+    this.nutrientPattern = options.nutrientPattern || 'noise';
+    this.nutrientScale = options.nutrientScale || 200;
+    this.nutrientOctaves = options.nutrientOctaves || 3;
+    this.toxicityPattern = options.toxicityPattern || 'patches';
+    this.toxicityScale = options.toxicityScale || 100;
+    this.toxicityOctaves = options.toxicityOctaves || 3;
+    this.fieldSeed = options.fieldSeed !== undefined ? options.fieldSeed : null;
+    this.fieldMaps = options.fieldMaps || {};
+    this.nutrientInflow = options.nutrientInflow !== undefined ? options.nutrientInflow : 0.01;
+    this.nutrientDiffusion = options.nutrientDiffusion !== undefined ? options.nutrientDiffusion : 0.05;
+    this.toxinDiffusion = options.toxinDiffusion !== undefined ? options.toxinDiffusion : 0.05;
+    this.toxinDecay = options.toxinDecay !== undefined ? options.toxinDecay : 0.01;
+    this.toxinSecretion = options.toxinSecretion !== undefined ? options.toxinSecretion : 0.01;
+    this.antibioticDiffusion = options.antibioticDiffusion !== undefined ? options.antibioticDiffusion : 0.05;
+    this.antibioticDecay = options.antibioticDecay !== undefined ? options.antibioticDecay : 0.05;
+    this.conjugationRate = options.conjugationRate !== undefined ? options.conjugationRate : 0.05;
+    this.plasmidCost = options.plasmidCost !== undefined ? options.plasmidCost : 0.1;
+    this.plasmidLoss = options.plasmidLoss !== undefined ? options.plasmidLoss : 0.01;
+    this.predationRate = options.predationRate !== undefined ? options.predationRate : 0;
+    this.dilutionRate = options.dilutionRate !== undefined ? options.dilutionRate : 0;
+    this.timeline = options.timeline || EMPTY_TIMELINE;
     
     // Internal state
+    this.walls = new Uint8Array(this.gridColumns * this.gridRows); // Impassable cells, on the field grid
     this.initializeDistributions(); // Call a dedicated method for initialization
     this.generation = 0;
     
@@ -37,108 +120,214 @@ class Environment {
         metabolism: [],
         resistance: [],
         lifespan: [],
-        mutationRate: []
+        mutationRate: [],
+        chemotacticSensitivity: [],
+        toxinAvoidance: [],
+        optimalTemperature: [],
+        optimalPH: [],
+        toleranceWidth: []
       },
-      extinctionEvents: []
+      plasmidHistory: [],
+      genotypeHistory: [],
+      alleleHistory: [],
+      alleles: [],
+      extinctionEvents: [],
+      deathCauses: Object.fromEntries(DEATH_CAUSES.map(cause => [cause, 0])),
+      birthHistory: [],
+      deathHistory: [],
+      environmentHistory: []
     };
-    console.log("Environment initialized with width:", this.width, "height:", this.height);
+    
+    // Births and deaths since the statistics were last recorded
+    this.resetStepCounts();
+    log("Environment initialized with width:", this.width, "height:", this.height);
   }
   
   /**
-   * Initialize or re-initialize nutrient and toxicity distributions
+   * Initialize or re-initialize the nutrient, toxin and antibiotic fields
    */
   initializeDistributions() {
-    console.log("Initializing distributions for width:", this.width, "height:", this.height);
-    this.nutrientDistribution = this.generateNutrientDistribution();
-    this.toxicityDistribution = this.generateToxicityDistribution();
-    console.log("Nutrient grid initialized:", this.nutrientDistribution.grid.length, "x", this.nutrientDistribution.grid[0].length);
-    console.log("Toxicity grid initialized:", this.toxicityDistribution.grid.length, "x", this.toxicityDistribution.grid[0].length);
+    log("Initializing fields for width:", this.width, "height:", this.height);
+    const fieldOptions = { width: this.width, height: this.height, columns: this.gridColumns, rows: this.gridRows };
+    
+    // Walls are kept when the patterns are regenerated
+    if (this.fields) {
+      this.resampleWalls();
+    }
+    
+    this.fields = {
+      nutrients: new Field(fieldOptions),
+      toxins: new Field(fieldOptions),
+      antibiotics: new Field(fieldOptions)
+    };
+    this.updateFieldSettings();
+    
+    // Each pattern has its own generator, so changing one leaves the other as it was.
+    // The seed is kept so that a single field can be generated again later
+    this.patternSeed = this.fieldSeed !== null ? this.fieldSeed : Math.floor(this.rng.next() * 4294967296);
+    
+    this.fields.nutrients.setSupply(this.generateNutrientDistribution(new Random(this.patternSeed)));
+    this.fields.toxins.setSupply(this.generateToxicityDistribution(new Random((this.patternSeed + 1) >>> 0)));
+    this.fields.antibiotics.setSupply(this.generateAntibioticDistribution());
   }
-
+  
   /**
-   * Generate a random distribution of nutrients across the environment
-   * @returns {Object} - Grid and cell dimensions
+   * Change the nutrient or toxicity level, keeping the field's pattern, painting and depletion.
+   * The supply is rescaled and the current levels follow through renewal. A field without
+   * supply has no shape to scale, so only its pattern is generated again, from the same seed.
+   * @param {string} parameter - 'nutrients' or 'toxicity'
+   * @param {number} level - New level
    */
-  generateNutrientDistribution() {
-    const gridSize = 20;
-    const cellWidth = this.width / gridSize;
-    const cellHeight = this.height / gridSize;
-    
-    const grid = [];
-    
-    for (let x = 0; x < gridSize; x++) {
-      grid[x] = [];
-      for (let y = 0; y < gridSize; y++) {
-        // Base nutrient level with some random variation
-        grid[x][y] = this.nutrients * (0.5 + Math.random());
-        
-        // Create some nutrient-rich and nutrient-poor areas
-        if (Math.random() < 0.1) {
-          grid[x][y] *= 2; // Rich area
-        } else if (Math.random() < 0.1) {
-          grid[x][y] *= 0.5; // Poor area
-        }
-      }
+  setFieldLevel(parameter, level) {
+    const previous = this[parameter];
+    this[parameter] = level;
+    if (level === previous) return;
+    
+    const field = parameter === 'nutrients' ? this.fields.nutrients : this.fields.toxins;
+    if (previous > 0) {
+      field.scaleSupply(level / previous);
+    } else if (parameter === 'nutrients') {
+      field.setSupply(this.generateNutrientDistribution(new Random(this.patternSeed)));
+    } else {
+      field.setSupply(this.generateToxicityDistribution(new Random((this.patternSeed + 1) >>> 0)));
     }
-    console.log("Generated nutrient grid:", grid.length, "x", grid[0].length);
-    return {
-      grid,
-      cellWidth,
-      cellHeight,
-      gridSize
-    };
   }
   
   /**
-   * Generate a random distribution of toxicity across the environment
-   * @returns {Object} - Grid and cell dimensions
+   * Carry the fields and walls over to new dimensions or a new resolution, keeping their patterns
    */
-  generateToxicityDistribution() {
-    const gridSize = 20;
-    const cellWidth = this.width / gridSize;
-    const cellHeight = this.height / gridSize;
-    
-    const grid = [];
-    
-    for (let x = 0; x < gridSize; x++) {
-      grid[x] = [];
-      for (let y = 0; y < gridSize; y++) {
-        // Base toxicity level with some random variation
-        grid[x][y] = this.toxicity * (0.5 + Math.random());
-        
-        // Create some highly toxic areas
-        if (Math.random() < 0.05) {
-          grid[x][y] *= 3; // Toxic hotspot
-        }
+  resampleFields() {
+    log("Resampling fields to", this.gridColumns, "x", this.gridRows, "cells over", this.width, "x", this.height);
+    const dimensions = { width: this.width, height: this.height, columns: this.gridColumns, rows: this.gridRows };
+    
+    this.resampleWalls();
+    for (const name in this.fields) {
+      this.fields[name] = this.fields[name].resample(dimensions);
+    }
+    this.updateFieldSettings();
+  }
+  
+  /**
+   * Carry the walls over to a new resolution.
+   * Each new cell takes the old cell under its centre, so walls stay solid rather than blurring.
+   */
+  resampleWalls() {
+    const { columns, rows } = this.fields.nutrients;
+    if (columns === this.gridColumns && rows === this.gridRows) return;
+    
+    const walls = new Uint8Array(this.gridColumns * this.gridRows);
+    for (let x = 0; x < this.gridColumns; x++) {
+      const oldX = Math.floor(((x + 0.5) / this.gridColumns) * columns);
+      
+      for (let y = 0; y < this.gridRows; y++) {
+        const oldY = Math.floor(((y + 0.5) / this.gridRows) * rows);
+        walls[x * this.gridRows + y] = this.walls[oldX * rows + oldY];
       }
     }
-    console.log("Generated toxicity grid:", grid.length, "x", grid[0].length);
-    return {
-      grid,
-      cellWidth,
-      cellHeight,
-      gridSize
-    };
+    this.walls = walls;
+  }
+  
+  /**
+   * Apply the diffusion and renewal parameters and the walls to the fields
+   */
+  updateFieldSettings() {
+    const { nutrients, toxins, antibiotics } = this.fields;
+    
+    for (const field of Object.values(this.fields)) {
+      field.blocked = this.walls;
+      field.clearBlocked();
+    }
+    
+    const diffusionScale = DIFFUSION_LENGTH * DIFFUSION_LENGTH;
+    
+    nutrients.diffusion = this.nutrientDiffusion * diffusionScale;
+    nutrients.renewal = this.nutrientInflow;
+    toxins.diffusion = this.toxinDiffusion * diffusionScale;
+    toxins.renewal = this.toxinDecay;
+    antibiotics.diffusion = this.antibioticDiffusion * diffusionScale;
+    antibiotics.renewal = this.antibioticDecay;
+  }
+
+  /**
+   * Generate the distribution of nutrients across the environment
+   * @param {Random} rng - Random number generator the pattern is drawn from
+   * @returns {Float32Array} - Nutrient level per cell (column-major), from the image map if one is loaded
+   */
+  generateNutrientDistribution(rng) {
+    if (this.fieldMaps.nutrients) {
+      return sampleFieldMap(this.fieldMaps.nutrients, this.gridColumns, this.gridRows)
+        .map(level => level * this.nutrients);
+    }
+    
+    const levels = generateField({
+      pattern: this.nutrientPattern,
+      width: this.width,
+      height: this.height,
+      columns: this.gridColumns,
+      rows: this.gridRows,
+      scale: this.nutrientScale,
+      octaves: this.nutrientOctaves,
+      rng
+    });
+    
+    return levels.map(level => level * this.nutrients);
+  }
+  
+  /**
+   * Generate the distribution of background toxicity across the environment
+   * @param {Random} rng - Random number generator the pattern is drawn from
+   * @returns {Float32Array} - Toxicity level per cell (column-major), from the image map if one is loaded
+   */
+  generateToxicityDistribution(rng) {
+    if (this.fieldMaps.toxicity) {
+      return sampleFieldMap(this.fieldMaps.toxicity, this.gridColumns, this.gridRows)
+        .map(level => level * this.toxicity);
+    }
+    
+    const levels = generateField({
+      pattern: this.toxicityPattern,
+      width: this.width,
+      height: this.height,
+      columns: this.gridColumns,
+      rows: this.gridRows,
+      scale: this.toxicityScale,
+      octaves: this.toxicityOctaves,
+      rng
+    });
+    
+    return levels.map(level => level * this.toxicity);
+  }
+  
+  /**
+   * Generate the distribution of the antibiotic dose across the environment
+   * @returns {Float32Array} - Antibiotic level per cell (column-major), uniform unless an image map is loaded
+   */
+  generateAntibioticDistribution() {
+    if (!this.fieldMaps.antibiotics) {
+      return new Float32Array(this.gridColumns * this.gridRows).fill(this.antibiotics);
+    }
+    
+    return sampleFieldMap(this.fieldMaps.antibiotics, this.gridColumns, this.gridRows)
+      .map(level => level * this.antibiotics);
   }
   
   /**
    * Update the environment for one simulation step
    * @param {Array} bacteria - Current bacteria population
+   * @param {GenomeModel} genomeModel - Genome model of the population (null if disabled)
    */
-  update(bacteria) {
+  update(bacteria, genomeModel = null) {
     this.generation++;
     
-    // Update statistics
-    this.updateStatistics(bacteria);
+    // Follow the schedule of conditions
+    this.applyTimeline();
     
-    // Occasionally redistribute nutrients
-    if (this.generation % 100 === 0) {
-      this.nutrientDistribution = this.generateNutrientDistribution();
-    }
+    // Update statistics
+    this.updateStatistics(bacteria, genomeModel);
     
-    // Occasionally redistribute toxicity
-    if (this.generation % 150 === 0) {
-      this.toxicityDistribution = this.generateToxicityDistribution();
+    // Renew and diffuse the chemical fields
+    for (const field of Object.values(this.fields)) {
+      field.step();
     }
     
     // Check for extinction events
@@ -156,11 +345,31 @@ class Environment {
     }
   }
   
+  /**
+   * Set the conditions the timeline schedules for the current generation.
+   * Nutrient and toxicity changes only affect their own field (see setFieldLevel);
+   * an antibiotic change doses the whole arena at once, as its slider does.
+   */
+  applyTimeline() {
+    const scheduled = evaluateTimeline(this.timeline, this.generation);
+    
+    for (const [parameter, value] of Object.entries(scheduled)) {
+      if (value === this[parameter]) continue;
+      
+      if (parameter === 'nutrients' || parameter === 'toxicity') {
+        this.setFieldLevel(parameter, value);
+      } else {
+        this.setParameters({ [parameter]: value });
+      }
+    }
+  }
+  
   /**
    * Update statistics based on current bacteria population
    * @param {Array} bacteria - Current bacteria population
+   * @param {GenomeModel} genomeModel - Genome model of the population (null if disabled)
    */
-  updateStatistics(bacteria) {
+  updateStatistics(bacteria, genomeModel = null) {
     // Update population history
     this.statistics.populationHistory.push(bacteria.length);
     
@@ -169,6 +378,52 @@ class Environment {
       this.statistics.populationHistory.shift();
     }
     
+    // Record the births and deaths of the previous step
+    this.statistics.birthHistory.push(this.stepCounts.births);
+    this.statistics.deathHistory.push(this.stepCounts.deaths);
+    this.resetStepCounts();
+    
+    if (this.statistics.birthHistory.length > 1000) {
+      this.statistics.birthHistory.shift();
+      this.statistics.deathHistory.shift();
+    }
+    
+    // Record the conditions a timeline can change, to chart responses against them
+    this.statistics.environmentHistory.push(
+      Object.fromEntries(TIMELINE_PARAMETERS.map(({ value: parameter }) => [parameter, this[parameter]]))
+    );
+    
+    if (this.statistics.environmentHistory.length > 1000) {
+      this.statistics.environmentHistory.shift();
+    }
+    
+    // Update plasmid prevalence history
+    const carriers = bacteria.filter(bacterium => bacterium.plasmid).length;
+    this.statistics.plasmidHistory.push(bacteria.length > 0 ? carriers / bacteria.length : 0);
+    
+    if (this.statistics.plasmidHistory.length > 1000) {
+      this.statistics.plasmidHistory.shift();
+    }
+    
+    // Track genotype diversity and the spread of individual mutations
+    if (genomeModel && bacteria.length > 0) {
+      const { distinctGenotypes, alleles } = summarizeGenotypes(bacteria, genomeModel.lociPerTrait);
+      this.statistics.genotypeHistory.push(distinctGenotypes);
+      this.statistics.alleles = alleles.slice(0, 10);
+      
+      const frequencies = { generation: this.generation };
+      for (const allele of alleles) {
+        if (allele.frequency < SWEEP_TRACKING_THRESHOLD) break;
+        frequencies[allele.id] = allele.frequency;
+      }
+      this.statistics.alleleHistory.push(frequencies);
+      
+      if (this.statistics.genotypeHistory.length > 1000) {
+        this.statistics.genotypeHistory.shift();
+        this.statistics.alleleHistory.shift();
+      }
+    }
+    
     // Calculate average traits
     if (bacteria.length > 0) {
       const averages = {
@@ -177,7 +432,12 @@ class Environment {
         metabolism: 0,
         resistance: 0,
         lifespan: 0,
-        mutationRate: 0
+        mutationRate: 0,
+        chemotacticSensitivity: 0,
+        toxinAvoidance: 0,
+        optimalTemperature: 0,
+        optimalPH: 0,
+        toleranceWidth: 0
       };
       
       bacteria.forEach(bacterium => {
@@ -187,6 +447,11 @@ class Environment {
         averages.resistance += bacterium.resistance;
         averages.lifespan += bacterium.lifespan;
         averages.mutationRate += bacterium.mutationRate;
+        averages.chemotacticSensitivity += bacterium.chemotacticSensitivity;
+        averages.toxinAvoidance += bacterium.toxinAvoidance;
+        averages.optimalTemperature += bacterium.optimalTemperature;
+        averages.optimalPH += bacterium.optimalPH;
+        averages.toleranceWidth += bacterium.toleranceWidth;
       });
       
       // Calculate averages
@@ -202,6 +467,32 @@ class Environment {
     }
   }
   
+  /**
+   * Start counting births and deaths afresh
+   */
+  resetStepCounts() {
+    this.stepCounts = {
+      births: 0,
+      deaths: Object.fromEntries(DEATH_CAUSES.map(cause => [cause, 0]))
+    };
+  }
+  
+  /**
+   * Record the birth of a bacterium
+   */
+  recordBirth() {
+    this.stepCounts.births++;
+  }
+  
+  /**
+   * Record the death of a bacterium
+   * @param {string} cause - Cause of death (see DEATH_CAUSES)
+   */
+  recordDeath(cause) {
+    this.statistics.deathCauses[cause] = (this.statistics.deathCauses[cause] || 0) + 1;
+    this.stepCounts.deaths[cause] = (this.stepCounts.deaths[cause] || 0) + 1;
+  }
+  
   /**
    * Get nutrient level at a specific position
    * @param {number} x - X coordinate
@@ -209,20 +500,28 @@ class Environment {
    * @returns {number} - Nutrient level at position
    */
   getNutrientAt(x, y) {
-    console.log("getNutrientAt called for x:", x, "y:", y);
-    console.log("nutrientDistribution:", this.nutrientDistribution);
-    const { grid, cellWidth, cellHeight, gridSize } = this.nutrientDistribution;
-    
-    // Convert position to grid coordinates
-    const gridX = Math.min(Math.floor(x / cellWidth), gridSize - 1);
-    const gridY = Math.min(Math.floor(y / cellHeight), gridSize - 1);
-    
-    console.log("gridX:", gridX, "gridY:", gridY, "grid length:", grid.length);
-    if (!grid || !grid[gridX] || grid[gridX][gridY] === undefined) {
-      console.error("Error: Invalid grid access in getNutrientAt. grid:", grid, "gridX:", gridX, "gridY:", gridY);
-      return 0; // Return a default value to prevent crash
-    }
-    return grid[gridX][gridY];
+    return this.fields.nutrients.getAt(x, y);
+  }
+  
+  /**
+   * Get the nutrient gradient at a specific position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Array<number>} - Change in nutrient level per pixel along x and y
+   */
+  getNutrientGradientAt(x, y) {
+    return this.fields.nutrients.getGradientAt(x, y);
+  }
+  
+  /**
+   * Consume nutrients from the grid cell at a specific position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} amount - Energy the consumer wants to take
+   * @returns {number} - Energy actually taken (limited by what the cell holds)
+   */
+  consumeNutrientAt(x, y, amount) {
+    return this.fields.nutrients.takeAt(x, y, amount);
   }
   
   /**
@@ -232,141 +531,287 @@ class Environment {
    * @returns {number} - Toxicity level at position
    */
   getToxicityAt(x, y) {
-    console.log("getToxicityAt called for x:", x, "y:", y);
-    console.log("toxicityDistribution:", this.toxicityDistribution);
-    const { grid, cellWidth, cellHeight, gridSize } = this.toxicityDistribution;
-    
-    // Convert position to grid coordinates
-    const gridX = Math.min(Math.floor(x / cellWidth), gridSize - 1);
-    const gridY = Math.min(Math.floor(y / cellHeight), gridSize - 1);
-    
-    console.log("gridX:", gridX, "gridY:", gridY, "grid length:", grid.length);
-    if (!grid || !grid[gridX] || grid[gridX][gridY] === undefined) {
-      console.error("Error: Invalid grid access in getToxicityAt. grid:", grid, "gridX:", gridX, "gridY:", gridY);
-      return 0; // Return a default value to prevent crash
-    }
-    return grid[gridX][gridY];
+    return this.fields.toxins.getAt(x, y);
   }
   
   /**
-   * Draw the environment on a canvas context
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
-   * @param {Object} options - Drawing options
-   * @param {boolean} options.showNutrients - Whether to show nutrient distribution
-   * @param {boolean} options.showToxicity - Whether to show toxicity distribution
+   * Get the toxicity gradient at a specific position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Array<number>} - Change in toxicity level per pixel along x and y
    */
-  draw(ctx, options = {}) {
-    const { showNutrients = true, showToxicity = true } = options;
-    
-    // Clear canvas
-    ctx.clearRect(0, 0, this.width, this.height);
-    
-    // Draw background
-    ctx.fillStyle = '#f0f0f0';
-    ctx.fillRect(0, 0, this.width, this.height);
-    
-    if (showNutrients) {
-      this.drawNutrientDistribution(ctx);
-    }
-    
-    if (showToxicity) {
-      this.drawToxicityDistribution(ctx);
-    }
+  getToxicityGradientAt(x, y) {
+    return this.fields.toxins.getGradientAt(x, y);
   }
   
   /**
-   * Draw nutrient distribution on canvas
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * Secrete metabolic waste into the toxin field at a specific position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} energySpent - Energy the secreting bacterium spent this step
    */
-  drawNutrientDistribution(ctx) {
-    const { grid, cellWidth, cellHeight, gridSize } = this.nutrientDistribution;
-    
-    for (let x = 0; x < gridSize; x++) {
-      for (let y = 0; y < gridSize; y++) {
-        const nutrientLevel = grid[x][y];
-        const normalizedLevel = nutrientLevel / (this.nutrients * 2);
-        
-        // Draw nutrient level as green with varying opacity
-        ctx.fillStyle = `rgba(0, 128, 0, ${normalizedLevel * 0.3})`;
-        ctx.fillRect(x * cellWidth, y * cellHeight, cellWidth, cellHeight);
-      }
-    }
+  secreteToxinAt(x, y, energySpent) {
+    this.fields.toxins.addAt(x, y, energySpent * this.toxinSecretion);
+  }
+  
+  /**
+   * Get antibiotic concentration at a specific position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} - Antibiotic concentration at position
+   */
+  getAntibioticAt(x, y) {
+    return this.fields.antibiotics.getAt(x, y);
+  }
+  
+  /**
+   * Check whether a position is inside a wall
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} - True if the cell at the position is impassable
+   */
+  isWallAt(x, y) {
+    return this.walls[this.fields.nutrients.indexAt(x, y)] === 1;
   }
   
   /**
-   * Draw toxicity distribution on canvas
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * Apply one dab of a painting tool to the fields or walls.
+   * Brushes move the supply and current level of their field towards the
+   * brush level, so painted features persist rather than being washed out by
+   * renewal. The eraser returns the fields to their generated pattern and
+   * removes walls. Strokes are made of dabs spaced closer than the radius.
+   * @param {Object} dab - Dab to apply
+   * @param {string} dab.tool - Tool: a field name (nutrients, toxins, antibiotics), 'wall' or 'eraser'
+   * @param {number} dab.x - X coordinate of the centre
+   * @param {number} dab.y - Y coordinate of the centre
+   * @param {number} dab.radius - Brush radius in pixels
+   * @param {number} dab.strength - Brush level as a fraction of the field's maximum, or how fully
+   *   the eraser restores the pattern (0-1)
    */
-  drawToxicityDistribution(ctx) {
-    const { grid, cellWidth, cellHeight, gridSize } = this.toxicityDistribution;
+  paint({ tool, x, y, radius, strength }) {
+    const grid = this.fields.nutrients;
     
-    for (let x = 0; x < gridSize; x++) {
-      for (let y = 0; y < gridSize; y++) {
-        const toxicityLevel = grid[x][y];
-        const normalizedLevel = toxicityLevel / (this.toxicity * 3);
+    if (tool === 'wall') {
+      grid.forEachCellWithin(x, y, radius, (index) => {
+        this.walls[index] = 1;
+      });
+      this.updateFieldSettings();
+    } else if (tool === 'eraser') {
+      grid.forEachCellWithin(x, y, radius, (index, weight) => {
+        this.walls[index] = 0;
         
-        if (normalizedLevel > 0.1) {
-          // Draw toxicity level as red with varying opacity
-          ctx.fillStyle = `rgba(255, 0, 0, ${normalizedLevel * 0.3})`;
-          ctx.fillRect(x * cellWidth, y * cellHeight, cellWidth, cellHeight);
+        for (const field of Object.values(this.fields)) {
+          field.supply[index] += strength * weight * (field.background[index] - field.supply[index]);
+          field.values[index] += strength * weight * (field.background[index] - field.values[index]);
         }
-      }
+      });
+    } else if (this.fields[tool]) {
+      const field = this.fields[tool];
+      const level = strength * PAINT_LEVELS[tool];
+      
+      field.forEachCellWithin(x, y, radius, (index, weight) => {
+        if (this.walls[index]) return;
+        
+        field.supply[index] += weight * (level - field.supply[index]);
+        field.values[index] += weight * (level - field.values[index]);
+      });
     }
   }
   
+  /**
+   * Remove all walls
+   */
+  clearWalls() {
+    this.walls.fill(0);
+  }
+  
+  /**
+   * Get the data needed to draw the environment
+   * @returns {Object} - Dimensions, levels and field grids
+   */
+  getRenderData() {
+    return {
+      width: this.width,
+      height: this.height,
+      nutrients: this.nutrients,
+      toxicity: this.toxicity,
+      antibiotics: this.antibiotics,
+      nutrientGrid: this.fields.nutrients.getRenderData(),
+      toxicityGrid: this.fields.toxins.getRenderData(),
+      antibioticGrid: this.fields.antibiotics.getRenderData(),
+      walls: this.walls.slice()
+    };
+  }
+  
   /**
    * Set environment parameters
    * @param {Object} params - New parameters
    */
   setParameters(params) {
     let distributionsNeedRegen = false;
+    let fieldsNeedResample = false;
 
     if (params.temperature !== undefined) this.temperature = params.temperature;
     if (params.pH !== undefined) this.pH = params.pH;
-    if (params.nutrients !== undefined) {
-      this.nutrients = params.nutrients;
-      distributionsNeedRegen = true; // Regenerate if nutrient level changes
+    if (params.nutrients !== undefined) this.setFieldLevel('nutrients', params.nutrients);
+    if (params.toxicity !== undefined) this.setFieldLevel('toxicity', params.toxicity);
+    if (params.antibiotics !== undefined && params.antibiotics !== this.antibiotics) {
+      this.antibiotics = params.antibiotics;
+      this.fields.antibiotics.setSupply(this.generateAntibioticDistribution());
     }
-    if (params.toxicity !== undefined) {
-      this.toxicity = params.toxicity;
-      distributionsNeedRegen = true; // Regenerate if toxicity level changes
-    }
-    if (params.antibiotics !== undefined) this.antibiotics = params.antibiotics;
     if (params.carryingCapacity !== undefined) this.carryingCapacity = params.carryingCapacity;
     
-    // Update width and height and regenerate distributions if they change
+    // A new pattern or image map replaces the fields
+    if (params.fieldMaps !== undefined && params.fieldMaps !== this.fieldMaps) {
+      this.fieldMaps = params.fieldMaps;
+      distributionsNeedRegen = true;
+    }
+    for (const key of FIELD_PATTERN_PARAMETERS) {
+      if (params[key] !== undefined && params[key] !== this[key]) {
+        this[key] = params[key];
+        distributionsNeedRegen = true;
+      }
+    }
+    
+    if (params.nutrientInflow !== undefined) this.nutrientInflow = params.nutrientInflow;
+    if (params.nutrientDiffusion !== undefined) this.nutrientDiffusion = params.nutrientDiffusion;
+    if (params.toxinDiffusion !== undefined) this.toxinDiffusion = params.toxinDiffusion;
+    if (params.toxinDecay !== undefined) this.toxinDecay = params.toxinDecay;
+    if (params.toxinSecretion !== undefined) this.toxinSecretion = params.toxinSecretion;
+    if (params.antibioticDiffusion !== undefined) this.antibioticDiffusion = params.antibioticDiffusion;
+    if (params.antibioticDecay !== undefined) this.antibioticDecay = params.antibioticDecay;
+    if (params.conjugationRate !== undefined) this.conjugationRate = params.conjugationRate;
+    if (params.plasmidCost !== undefined) this.plasmidCost = params.plasmidCost;
+    if (params.plasmidLoss !== undefined) this.plasmidLoss = params.plasmidLoss;
+    if (params.predationRate !== undefined) this.predationRate = params.predationRate;
+    if (params.dilutionRate !== undefined) this.dilutionRate = params.dilutionRate;
+    if (params.timeline !== undefined) this.timeline = params.timeline;
+    this.updateFieldSettings();
+    
+    // Update the dimensions and resolution, resampling the fields if they change
     if (params.width !== undefined && params.width !== this.width) {
       this.width = params.width;
-      distributionsNeedRegen = true;
+      fieldsNeedResample = true;
     }
     if (params.height !== undefined && params.height !== this.height) {
       this.height = params.height;
-      distributionsNeedRegen = true;
+      fieldsNeedResample = true;
+    }
+    if (params.gridColumns !== undefined && params.gridColumns !== this.gridColumns) {
+      this.gridColumns = params.gridColumns;
+      fieldsNeedResample = true;
+    }
+    if (params.gridRows !== undefined && params.gridRows !== this.gridRows) {
+      this.gridRows = params.gridRows;
+      fieldsNeedResample = true;
     }
 
     if (distributionsNeedRegen) {
-      this.initializeDistributions(); // Regenerate both if any relevant parameter changes
+      this.initializeDistributions(); // Regenerate the fields if a pattern or map changes
+    } else if (fieldsNeedResample) {
+      this.resampleFields();
     }
   }
   
+  /**
+   * Get the adjustable environment parameters
+   * @returns {Object} - Current parameters
+   */
+  getParameters() {
+    return {
+      temperature: this.temperature,
+      pH: this.pH,
+      nutrients: this.nutrients,
+      toxicity: this.toxicity,
+      antibiotics: this.antibiotics,
+      carryingCapacity: this.carryingCapacity,
+      gridColumns: this.gridColumns,
+      gridRows: this.gridRows,
+      nutrientPattern: this.nutrientPattern,
+      nutrientScale: this.nutrientScale,
+      nutrientOctaves: this.nutrientOctaves,
+      toxicityPattern: this.toxicityPattern,
+      toxicityScale: this.toxicityScale,
+      toxicityOctaves: this.toxicityOctaves,
+      fieldSeed: this.fieldSeed,
+      fieldMaps: this.fieldMaps,
+      nutrientInflow: this.nutrientInflow,
+      nutrientDiffusion: this.nutrientDiffusion,
+      toxinDiffusion: this.toxinDiffusion,
+      toxinDecay: this.toxinDecay,
+      toxinSecretion: this.toxinSecretion,
+      antibioticDiffusion: this.antibioticDiffusion,
+      antibioticDecay: this.antibioticDecay,
+      conjugationRate: this.conjugationRate,
+      plasmidCost: this.plasmidCost,
+      plasmidLoss: this.plasmidLoss,
+      predationRate: this.predationRate,
+      dilutionRate: this.dilutionRate,
+      timeline: this.timeline,
+      width: this.width,
+      height: this.height
+    };
+  }
+  
+  /**
+   * Serialize the environment, including its fields and statistics
+   * @returns {Object} - Plain object suitable for JSON
+   */
+  toJSON() {
+    return {
+      parameters: this.getParameters(),
+      generation: this.generation,
+      fields: {
+        nutrients: this.fields.nutrients.toJSON(),
+        toxins: this.fields.toxins.toJSON(),
+        antibiotics: this.fields.antibiotics.toJSON()
+      },
+      // Walls are sparse, so only the indices of walled cells are stored
+      walls: Array.from(this.walls.keys()).filter(index => this.walls[index]),
+      patternSeed: this.patternSeed,
+      statistics: this.statistics,
+      stepCounts: this.stepCounts
+    };
+  }
+  
+  /**
+   * Restore an environment from serialized data
+   * @param {Object} data - Data produced by toJSON
+   * @param {Random} rng - Random number generator shared with the simulation
+   * @returns {Environment} - Restored environment
+   */
+  static fromJSON(data, rng) {
+    const environment = new Environment({ ...data.parameters, rng });
+    
+    environment.generation = data.generation;
+    if (data.patternSeed !== undefined) environment.patternSeed = data.patternSeed;
+    environment.fields = {
+      nutrients: Field.fromJSON(data.fields.nutrients),
+      toxins: Field.fromJSON(data.fields.toxins),
+      antibiotics: Field.fromJSON(data.fields.antibiotics)
+    };
+    for (const index of data.walls) {
+      environment.walls[index] = 1;
+    }
+    environment.updateFieldSettings();
+    environment.statistics = data.statistics;
+    environment.stepCounts = data.stepCounts;
+    
+    return environment;
+  }
+  
   /**
    * Get current statistics
    * @returns {Object} - Current statistics
    */
   getStatistics() {
+    // Image maps are large and only needed to regenerate the fields, so they are left out
+    const { fieldMaps, ...currentParameters } = this.getParameters();
+    
     return {
       ...this.statistics,
       generation: this.generation,
-      currentParameters: {
-        temperature: this.temperature,
-        pH: this.pH,
-        nutrients: this.nutrients,
-        toxicity: this.toxicity,
-        antibiotics: this.antibiotics,
-        carryingCapacity: this.carryingCapacity,
-        width: this.width, // Add width to currentParameters
-        height: this.height // Add height to currentParameters
-      }
+      currentParameters
     };
   }
 }
@@ -0,0 +1,367 @@
+import { clamp } from './utils.js';
+
+// Amount of substance held per unit of level per pixel of a cell
+const AMOUNT_PER_LEVEL = 0.1;
+
+// Largest diffusion rate per axis (in cells squared per step) for which one explicit step is stable
+const MAX_STABLE_DIFFUSION = 0.2;
+
+/**
+ * Interpolate a column-major grid between the four nearest cells
+ * @param {Float32Array} values - Levels per cell (index x * rows + y)
+ * @param {number} columns - Number of cells along x
+ * @param {number} rows - Number of cells along y
+ * @param {number} gridX - Position along x in cells, 0 being the centre of the first cell
+ * @param {number} gridY - Position along y in cells, 0 being the centre of the first cell
+ * @returns {number} - Interpolated level (held constant beyond the outer cell centres)
+ */
+const sampleBilinear = (values, columns, rows, gridX, gridY) => {
+  const clampedX = clamp(gridX, 0, columns - 1);
+  const clampedY = clamp(gridY, 0, rows - 1);
+  const x0 = Math.floor(clampedX);
+  const y0 = Math.floor(clampedY);
+  const x1 = Math.min(x0 + 1, columns - 1);
+  const y1 = Math.min(y0 + 1, rows - 1);
+  const tx = clampedX - x0;
+  const ty = clampedY - y0;
+
+  const top = values[x0 * rows + y0] * (1 - tx) + values[x1 * rows + y0] * tx;
+  const bottom = values[x0 * rows + y1] * (1 - tx) + values[x1 * rows + y1] * tx;
+
+  return top * (1 - ty) + bottom * ty;
+};
+
+/**
+ * Field class holding the concentration of one chemical on a grid over the environment.
+ *
+ * Each step the field is renewed towards its supply level (like a chemostat,
+ * where fresh medium flows in and the contents flow out at the same rate) and
+ * then diffused with an explicit finite-difference scheme. Diffusion is split
+ * into as many substeps as needed to stay stable, and no substance is lost
+ * through the edges of the environment. Bacteria act as point sources and sinks
+ * by adding or taking amounts at the cell containing their position, while
+ * levels are read by bilinear interpolation between cell centres so they vary
+ * smoothly across cell boundaries. Blocked cells (walls) hold nothing and no
+ * substance diffuses into or out of them.
+ */
+class Field {
+  /**
+   * Create a new field
+   * @param {Object} options - Configuration options
+   * @param {number} options.width - Width of the environment
+   * @param {number} options.height - Height of the environment
+   * @param {number} options.columns - Number of cells along the x axis
+   * @param {number} options.rows - Number of cells along the y axis
+   * @param {number} options.diffusion - Diffusion coefficient in pixels squared per step
+   * @param {number} options.renewal - Fraction of the field replaced by the supply level per step (0-1)
+   */
+  constructor(options = {}) {
+    this.width = options.width || 800;
+    this.height = options.height || 600;
+    this.columns = options.columns || 40;
+    this.rows = options.rows || 30;
+    this.cellWidth = this.width / this.columns;
+    this.cellHeight = this.height / this.rows;
+    this.diffusion = options.diffusion || 0;
+    this.renewal = options.renewal || 0;
+
+    // Levels per cell, column-major (index x * rows + y)
+    this.values = new Float32Array(this.columns * this.rows);
+
+    // Level each cell is renewed towards
+    this.supply = new Float32Array(this.columns * this.rows);
+
+    // Supply as generated, before any painting
+    this.background = new Float32Array(this.columns * this.rows);
+
+    // Flags for cells substance cannot enter (shared with the environment's walls)
+    this.blocked = new Uint8Array(this.columns * this.rows);
+
+    // Scratch buffer for diffusion
+    this.buffer = new Float32Array(this.columns * this.rows);
+  }
+
+  /**
+   * Get the index of the cell containing a position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} - Cell index
+   */
+  indexAt(x, y) {
+    const gridX = clamp(Math.floor(x / this.cellWidth), 0, this.columns - 1);
+    const gridY = clamp(Math.floor(y / this.cellHeight), 0, this.rows - 1);
+
+    return gridX * this.rows + gridY;
+  }
+
+  /**
+   * Get the level at a specific position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} - Level interpolated between the surrounding cell centres
+   */
+  getAt(x, y) {
+    return sampleBilinear(this.values, this.columns, this.rows, x / this.cellWidth - 0.5, y / this.cellHeight - 0.5);
+  }
+
+  /**
+   * Get the spatial gradient of the level at a specific position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {Array<number>} - Change in level per pixel along x and y
+   */
+  getGradientAt(x, y) {
+    const { width, height, cellWidth, cellHeight } = this;
+
+    // Central differences of the interpolated levels one cell either side, one-sided at the edges
+    const left = Math.max(x - cellWidth, 0);
+    const right = Math.min(x + cellWidth, width);
+    const top = Math.max(y - cellHeight, 0);
+    const bottom = Math.min(y + cellHeight, height);
+
+    const gradientX = (this.getAt(right, y) - this.getAt(left, y)) / (right - left);
+    const gradientY = (this.getAt(x, bottom) - this.getAt(x, top)) / (bottom - top);
+
+    return [gradientX, gradientY];
+  }
+
+  /**
+   * Add an amount of substance at a specific position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} amount - Amount to add
+   */
+  addAt(x, y, amount) {
+    this.values[this.indexAt(x, y)] += amount / this.getAmountPerLevel();
+  }
+
+  /**
+   * Take an amount of substance from a specific position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} amount - Amount wanted
+   * @returns {number} - Amount actually taken (limited by what the cell holds)
+   */
+  takeAt(x, y, amount) {
+    const index = this.indexAt(x, y);
+    const amountPerLevel = this.getAmountPerLevel();
+    const taken = clamp(amount, 0, this.values[index] * amountPerLevel);
+
+    this.values[index] -= taken / amountPerLevel;
+    return taken;
+  }
+
+  /**
+   * Get the amount of substance a cell holds per unit of level (proportional to its area)
+   * @returns {number} - Amount per level
+   */
+  getAmountPerLevel() {
+    return this.cellWidth * this.cellHeight * AMOUNT_PER_LEVEL;
+  }
+
+  /**
+   * Call a function for each cell whose centre is within a radius of a position.
+   * The cell containing the position is always included, so a radius smaller
+   * than a cell still reaches one cell.
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} radius - Radius in pixels
+   * @param {Function} callback - Called with the cell index and a weight falling from 1 at the centre to 0 at the radius
+   */
+  forEachCellWithin(x, y, radius, callback) {
+    const { cellWidth, cellHeight, columns, rows } = this;
+    const centreIndex = this.indexAt(x, y);
+    const minX = clamp(Math.floor((x - radius) / cellWidth), 0, columns - 1);
+    const maxX = clamp(Math.floor((x + radius) / cellWidth), 0, columns - 1);
+    const minY = clamp(Math.floor((y - radius) / cellHeight), 0, rows - 1);
+    const maxY = clamp(Math.floor((y + radius) / cellHeight), 0, rows - 1);
+
+    for (let gridX = minX; gridX <= maxX; gridX++) {
+      for (let gridY = minY; gridY <= maxY; gridY++) {
+        const index = gridX * rows + gridY;
+        const distance = Math.hypot((gridX + 0.5) * cellWidth - x, (gridY + 0.5) * cellHeight - y);
+
+        if (index === centreIndex) {
+          callback(index, 1);
+        } else if (distance < radius) {
+          callback(index, 1 - (distance / radius) ** 2);
+        }
+      }
+    }
+  }
+
+  /**
+   * Set the supply levels and reset the field to them
+   * @param {Float32Array|Array<number>} supply - Supply level per cell (column-major)
+   */
+  setSupply(supply) {
+    this.supply.set(supply);
+    this.values.set(supply);
+    this.background.set(supply);
+    this.clearBlocked();
+  }
+
+  /**
+   * Change the level the field is renewed towards, keeping the shape of its supply.
+   * The current levels are left to follow through renewal.
+   * @param {number} factor - Multiplier of the supply and background levels
+   */
+  scaleSupply(factor) {
+    for (let i = 0; i < this.supply.length; i++) {
+      this.supply[i] *= factor;
+      this.background[i] *= factor;
+    }
+  }
+
+  /**
+   * Remove any substance held in blocked cells
+   */
+  clearBlocked() {
+    for (let i = 0; i < this.values.length; i++) {
+      if (this.blocked[i]) this.values[i] = 0;
+    }
+  }
+
+  /**
+   * Advance the field by one simulation step
+   */
+  step() {
+    const { values, supply, blocked, renewal } = this;
+
+    // Renewal: inflow at the supply level and outflow at the current level
+    if (renewal > 0) {
+      for (let i = 0; i < values.length; i++) {
+        if (!blocked[i]) values[i] += renewal * (supply[i] - values[i]);
+      }
+    }
+
+    if (this.diffusion > 0) {
+      // Rates in cells squared per step, so the physical spread does not depend on the resolution
+      const rateX = this.diffusion / (this.cellWidth * this.cellWidth);
+      const rateY = this.diffusion / (this.cellHeight * this.cellHeight);
+      const substeps = Math.ceil(Math.max(rateX, rateY) / MAX_STABLE_DIFFUSION);
+
+      for (let i = 0; i < substeps; i++) {
+        this.diffuse(rateX / substeps, rateY / substeps);
+      }
+    }
+  }
+
+  /**
+   * Run one explicit diffusion substep with no-flux boundaries at the edges and around blocked cells
+   * @param {number} rateX - Diffusion rate along x for this substep (must not exceed MAX_STABLE_DIFFUSION)
+   * @param {number} rateY - Diffusion rate along y for this substep (must not exceed MAX_STABLE_DIFFUSION)
+   */
+  diffuse(rateX, rateY) {
+    const { values, buffer, blocked, columns, rows } = this;
+
+    for (let x = 0; x < columns; x++) {
+      for (let y = 0; y < rows; y++) {
+        const index = x * rows + y;
+        const value = values[index];
+
+        if (blocked[index]) {
+          buffer[index] = 0;
+          continue;
+        }
+
+        // Missing or blocked neighbours contribute no flux
+        let fluxX = 0;
+        let fluxY = 0;
+        if (x > 0 && !blocked[index - rows]) fluxX += values[index - rows] - value;
+        if (x < columns - 1 && !blocked[index + rows]) fluxX += values[index + rows] - value;
+        if (y > 0 && !blocked[index - 1]) fluxY += values[index - 1] - value;
+        if (y < rows - 1 && !blocked[index + 1]) fluxY += values[index + 1] - value;
+
+        buffer[index] = value + rateX * fluxX + rateY * fluxY;
+      }
+    }
+
+    values.set(buffer);
+  }
+
+  /**
+   * Create a copy of the field over new dimensions or at a new resolution.
+   * Levels are interpolated from the old grid at the same relative position,
+   * so the pattern is kept rather than regenerated. Blocked cells are not
+   * carried over; the owner of the walls sets them on the new field.
+   * @param {Object} options - New dimensions ({ width, height, columns, rows }); omitted ones are kept
+   * @returns {Field} - Resampled field
+   */
+  resample(options = {}) {
+    const field = new Field({
+      width: this.width,
+      height: this.height,
+      columns: this.columns,
+      rows: this.rows,
+      diffusion: this.diffusion,
+      renewal: this.renewal,
+      ...options
+    });
+
+    for (let x = 0; x < field.columns; x++) {
+      // Position of the new cell centre on the old grid, in old cells
+      const oldX = ((x + 0.5) / field.columns) * this.columns - 0.5;
+
+      for (let y = 0; y < field.rows; y++) {
+        const oldY = ((y + 0.5) / field.rows) * this.rows - 0.5;
+        const index = x * field.rows + y;
+
+        field.values[index] = sampleBilinear(this.values, this.columns, this.rows, oldX, oldY);
+        field.supply[index] = sampleBilinear(this.supply, this.columns, this.rows, oldX, oldY);
+        field.background[index] = sampleBilinear(this.background, this.columns, this.rows, oldX, oldY);
+      }
+    }
+
+    return field;
+  }
+
+  /**
+   * Get the data needed to draw the field
+   * @returns {Object} - Copied levels and cell dimensions
+   */
+  getRenderData() {
+    return {
+      values: this.values.slice(),
+      cellWidth: this.cellWidth,
+      cellHeight: this.cellHeight,
+      columns: this.columns,
+      rows: this.rows
+    };
+  }
+
+  /**
+   * Serialize the field
+   * @returns {Object} - Plain object suitable for JSON
+   */
+  toJSON() {
+    return {
+      width: this.width,
+      height: this.height,
+      columns: this.columns,
+      rows: this.rows,
+      diffusion: this.diffusion,
+      renewal: this.renewal,
+      values: Array.from(this.values),
+      supply: Array.from(this.supply),
+      background: Array.from(this.background)
+    };
+  }
+
+  /**
+   * Restore a field from serialized data
+   * @param {Object} data - Data produced by toJSON
+   * @returns {Field} - Restored field
+   */
+  static fromJSON(data) {
+    const field = new Field(data);
+
+    field.values.set(data.values);
+    field.supply.set(data.supply);
+    field.background.set(data.background);
+
+    return field;
+  }
+}
+
+export default Field;
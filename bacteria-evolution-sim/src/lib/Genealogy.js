@@ -0,0 +1,157 @@
+/**
+ * Genealogy class that tracks the ancestry of the living population.
+ * Branches without living descendants are pruned, and dead ancestors with a
+ * single retained child are collapsed into that child, so the tree stays
+ * proportional to the population rather than to the length of the run.
+ * Each node keeps the generation its lineage branched from its parent's, which
+ * is its birth unless collapsed ancestors now stand in between.
+ */
+class Genealogy {
+  /**
+   * Create an empty genealogy
+   */
+  constructor() {
+    // Tree nodes by bacterium id
+    this.nodes = new Map();
+  }
+
+  /**
+   * Add a bacterium to the genealogy
+   * @param {Bacterium} bacterium - Newly created bacterium (founders have no parentId)
+   */
+  addBirth(bacterium) {
+    const parent = bacterium.parentId !== null ? this.nodes.get(bacterium.parentId) : undefined;
+
+    this.nodes.set(bacterium.id, {
+      id: bacterium.id,
+      parentId: parent ? parent.id : null,
+      birthGeneration: bacterium.birthGeneration,
+      branchGeneration: bacterium.birthGeneration,
+      deathGeneration: null,
+      alive: true,
+      mutations: bacterium.mutations,
+      children: new Set()
+    });
+
+    if (parent) {
+      parent.children.add(bacterium.id);
+    }
+  }
+
+  /**
+   * Record the death of a bacterium and prune what is no longer needed
+   * @param {number} id - Id of the bacterium
+   * @param {number} generation - Generation of death
+   */
+  recordDeath(id, generation) {
+    const node = this.nodes.get(id);
+    if (!node) return;
+
+    node.alive = false;
+    node.deathGeneration = generation;
+
+    // Remove the extinct branch up to the first ancestor with other descendants
+    let current = node;
+    while (current && !current.alive && current.children.size === 0) {
+      this.nodes.delete(current.id);
+
+      const parent = this.nodes.get(current.parentId);
+      if (parent) {
+        parent.children.delete(current.id);
+      }
+      current = parent;
+    }
+
+    if (current) {
+      this.collapse(current);
+    }
+  }
+
+  /**
+   * Merge a dead ancestor with a single retained child into that child
+   * @param {Object} node - Genealogy node
+   */
+  collapse(node) {
+    // Roots are kept so every lineage still traces back to its founder
+    if (node.alive || node.children.size !== 1 || node.parentId === null) return;
+
+    const [childId] = node.children;
+    const child = this.nodes.get(childId);
+    const parent = this.nodes.get(node.parentId);
+
+    // The child's lineage now branches from the grandparent where the collapsed node's did
+    child.parentId = parent.id;
+    child.branchGeneration = node.branchGeneration;
+    child.mutations = [...node.mutations, ...child.mutations];
+    parent.children.delete(node.id);
+    parent.children.add(child.id);
+    this.nodes.delete(node.id);
+  }
+
+  /**
+   * Get the ids of the living bacteria descended from a node (including itself)
+   * @param {number} id - Id of the ancestor
+   * @returns {Array<number>} - Ids of living descendants
+   */
+  getLivingDescendants(id) {
+    const root = this.nodes.get(id);
+    if (!root) return [];
+
+    const living = [];
+    const stack = [root];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node.alive) living.push(node.id);
+
+      for (const childId of node.children) {
+        stack.push(this.nodes.get(childId));
+      }
+    }
+
+    return living;
+  }
+
+  /**
+   * Get the tree as a flat list of nodes
+   * @returns {Array<Object>} - Nodes with id, parentId, birth, branch and death generation, alive flag and mutations
+   */
+  getNodes() {
+    return Array.from(this.nodes.values(), ({ children, ...node }) => node);
+  }
+
+  /**
+   * Serialize the genealogy
+   * @returns {Array<Object>} - Nodes suitable for JSON
+   */
+  toJSON() {
+    return this.getNodes();
+  }
+
+  /**
+   * Restore a genealogy from serialized data
+   * @param {Array<Object>} data - Data produced by toJSON
+   * @returns {Genealogy} - Restored genealogy
+   */
+  static fromJSON(data) {
+    const genealogy = new Genealogy();
+
+    for (const node of data) {
+      genealogy.nodes.set(node.id, {
+        ...node,
+        branchGeneration: node.branchGeneration ?? node.birthGeneration,
+        children: new Set()
+      });
+    }
+    for (const node of genealogy.nodes.values()) {
+      const parent = genealogy.nodes.get(node.parentId);
+      if (parent) {
+        parent.children.add(node.id);
+      }
+    }
+
+    return genealogy;
+  }
+}
+
+export default Genealogy;
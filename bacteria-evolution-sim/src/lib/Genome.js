@@ -0,0 +1,217 @@
+import Random from './Random.js';
+import { HERITABLE_TRAITS } from './Bacterium.js';
+
+/**
+ * Distributions the effect of a substitution can be drawn from
+ */
+export const EFFECT_DISTRIBUTIONS = [
+  { value: 'gaussian', label: 'Gaussian' },
+  { value: 'uniform', label: 'Uniform' },
+  { value: 'laplace', label: 'Laplace (mostly small, some large)' }
+];
+
+// Allele present at every locus of the founders
+const ANCESTRAL_ALLELE = { id: 0, effect: 0, generation: 0 };
+
+/**
+ * GenomeModel class describing how genomes mutate and map to traits.
+ *
+ * A genome is a vector of loci, a fixed number per heritable trait, each holding
+ * an allele with an effect on the logarithm of its trait. A substitution
+ * replaces the allele at one locus with a new one whose effect differs by a
+ * random amount, so every mutation has an identity that can be followed through
+ * the population. A trait is its founder's base value scaled by the exponential
+ * of its summed allele effects, plus a pairwise epistasis term between loci of
+ * the same trait.
+ */
+class GenomeModel {
+  /**
+   * Create a new genome model
+   * @param {Object} options - Configuration options
+   * @param {number} options.lociPerTrait - Number of loci controlling each trait
+   * @param {string} options.effectDistribution - Distribution of substitution effects (see EFFECT_DISTRIBUTIONS)
+   * @param {number} options.effectSize - Standard deviation of substitution effects (on the log scale)
+   * @param {number} options.epistasis - Strength of pairwise interaction between loci of a trait
+   * @param {Random} options.rng - Random number generator shared with the simulation
+   */
+  constructor(options = {}) {
+    this.rng = options.rng || new Random();
+    this.lociPerTrait = options.lociPerTrait || 4;
+    this.effectDistribution = options.effectDistribution || 'gaussian';
+    this.effectSize = options.effectSize !== undefined ? options.effectSize : 0.1;
+    this.epistasis = options.epistasis || 0;
+
+    // Ids identify alleles across the population; 0 is the ancestral allele
+    this.nextAlleleId = 1;
+  }
+
+  /**
+   * Create a founder genome carrying only ancestral alleles
+   * @param {Object} traits - Founder trait values, used as the genome's base values
+   * @returns {Object} - Genome ({ base, alleles })
+   */
+  createGenome(traits) {
+    const base = {};
+    for (const trait of HERITABLE_TRAITS) {
+      base[trait] = traits[trait];
+    }
+
+    return {
+      base,
+      alleles: new Array(HERITABLE_TRAITS.length * this.lociPerTrait).fill(ANCESTRAL_ALLELE)
+    };
+  }
+
+  /**
+   * Get the trait controlled by a locus
+   * @param {number} locus - Locus index
+   * @returns {string} - Trait name
+   */
+  getLocusTrait(locus) {
+    return HERITABLE_TRAITS[Math.floor(locus / this.lociPerTrait)];
+  }
+
+  /**
+   * Draw the change in effect caused by a substitution
+   * @returns {number} - Effect change (on the log scale)
+   */
+  drawEffect() {
+    const sd = this.effectSize;
+
+    switch (this.effectDistribution) {
+      case 'uniform':
+        // Uniform on [-a, a] has standard deviation a / sqrt(3)
+        return this.rng.range(-1, 1) * sd * Math.sqrt(3);
+      case 'laplace': {
+        // Laplace with scale b has standard deviation b * sqrt(2)
+        const magnitude = -Math.log(1 - this.rng.next()) * sd / Math.SQRT2;
+        return this.rng.chance(0.5) ? magnitude : -magnitude;
+      }
+      default:
+        return this.rng.normal(0, sd);
+    }
+  }
+
+  /**
+   * Copy a genome for a child, applying random substitutions
+   * @param {Object} genome - Parent genome
+   * @param {number} mutationRate - Probability that each trait receives a substitution
+   * @param {number} generation - Generation in which new alleles arise
+   * @returns {Object} - Child genome and its substitutions ({ locus, trait, allele })
+   */
+  mutate(genome, mutationRate, generation) {
+    // The per-locus rate keeps the expected mutations per trait independent of the locus count
+    const locusRate = mutationRate / this.lociPerTrait;
+    const alleles = [...genome.alleles];
+    const substitutions = [];
+
+    for (let locus = 0; locus < alleles.length; locus++) {
+      if (!this.rng.chance(locusRate)) continue;
+
+      const allele = {
+        id: this.nextAlleleId++,
+        effect: alleles[locus].effect + this.drawEffect(),
+        generation
+      };
+      alleles[locus] = allele;
+      substitutions.push({ locus, trait: this.getLocusTrait(locus), allele });
+    }
+
+    return { genome: { base: genome.base, alleles }, substitutions };
+  }
+
+  /**
+   * Compute the traits a genome encodes
+   * @param {Object} genome - Genome to express
+   * @returns {Object} - Trait values by name
+   */
+  express(genome) {
+    const phenotype = {};
+
+    HERITABLE_TRAITS.forEach((trait, traitIndex) => {
+      const first = traitIndex * this.lociPerTrait;
+      let additive = 0;
+      let interaction = 0;
+
+      for (let i = first; i < first + this.lociPerTrait; i++) {
+        const effect = genome.alleles[i].effect;
+        additive += effect;
+
+        for (let j = first; j < i; j++) {
+          interaction += effect * genome.alleles[j].effect;
+        }
+      }
+
+      phenotype[trait] = genome.base[trait] * Math.exp(additive + this.epistasis * interaction);
+    });
+
+    return phenotype;
+  }
+
+  /**
+   * Serialize the genome model settings and allele counter
+   * @returns {Object} - Plain object suitable for JSON
+   */
+  toJSON() {
+    return {
+      lociPerTrait: this.lociPerTrait,
+      effectDistribution: this.effectDistribution,
+      effectSize: this.effectSize,
+      epistasis: this.epistasis,
+      nextAlleleId: this.nextAlleleId
+    };
+  }
+
+  /**
+   * Restore a genome model from serialized data
+   * @param {Object} data - Data produced by toJSON
+   * @param {Random} rng - Random number generator shared with the simulation
+   * @returns {GenomeModel} - Restored genome model
+   */
+  static fromJSON(data, rng) {
+    const model = new GenomeModel({ ...data, rng });
+    model.nextAlleleId = data.nextAlleleId;
+    return model;
+  }
+}
+
+/**
+ * Count genotypes and derived allele frequencies in a population
+ * @param {Array<Bacterium>} bacteria - Bacteria carrying genomes
+ * @param {number} lociPerTrait - Number of loci controlling each trait
+ * @returns {Object} - Number of distinct genotypes and derived alleles by descending frequency
+ */
+export const summarizeGenotypes = (bacteria, lociPerTrait) => {
+  const genotypes = new Set();
+  const alleles = new Map();
+
+  for (const { genome } of bacteria) {
+    genotypes.add(genome.alleles.map(allele => allele.id).join(','));
+
+    genome.alleles.forEach((allele, locus) => {
+      if (allele.id === 0) return;
+
+      if (!alleles.has(allele.id)) {
+        alleles.set(allele.id, {
+          id: allele.id,
+          trait: HERITABLE_TRAITS[Math.floor(locus / lociPerTrait)],
+          locus,
+          effect: allele.effect,
+          generation: allele.generation,
+          count: 0
+        });
+      }
+      alleles.get(allele.id).count++;
+    });
+  }
+
+  const frequencies = Array.from(alleles.values(), ({ count, ...allele }) => ({
+    ...allele,
+    frequency: count / bacteria.length
+  }));
+  frequencies.sort((a, b) => b.frequency - a.frequency);
+
+  return { distinctGenotypes: genotypes.size, alleles: frequencies };
+};
+
+export default GenomeModel;
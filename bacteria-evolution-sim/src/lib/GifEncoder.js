@@ -0,0 +1,282 @@
+// Bits per channel kept when counting colours (5 bits gives 32768 buckets)
+const BUCKET_BITS = 5;
+
+// GIF palettes hold at most 256 colours, addressed by 8-bit LZW symbols
+const PALETTE_SIZE = 256;
+const MIN_CODE_SIZE = 8;
+
+// LZW codes are at most 12 bits, so the dictionary is restarted when it holds 4096 entries
+const MAX_CODES = 4096;
+
+// Longest data sub-block a GIF can hold
+const MAX_BLOCK_LENGTH = 255;
+
+/**
+ * Bucket of an RGB colour with the low bits of each channel dropped
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {number} - Bucket index
+ */
+const bucketOf = (r, g, b) => {
+  const shift = 8 - BUCKET_BITS;
+  return ((r >> shift) << (BUCKET_BITS * 2)) | ((g >> shift) << BUCKET_BITS) | (b >> shift);
+};
+
+/**
+ * Find the channel along which a box of colours is widest
+ * @param {Array<Object>} colors - Colours in the box ({ bucket, count, rgb })
+ * @returns {Object} - The colours, the widest channel (0-2) and its range
+ */
+const measureBox = (colors) => {
+  let range = 0;
+  let channel = 0;
+
+  for (let c = 0; c < 3; c++) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const color of colors) {
+      min = Math.min(min, color.rgb[c]);
+      max = Math.max(max, color.rgb[c]);
+    }
+    if (max - min > range) {
+      range = max - min;
+      channel = c;
+    }
+  }
+
+  return { colors, channel, range };
+};
+
+/**
+ * GifEncoder class that builds an animated, looping GIF one frame at a time.
+ *
+ * Each frame gets its own palette, chosen by median cut over buckets of nearby
+ * colours so that both the smooth field gradients and the few dozen cell
+ * colours are represented. Frames are not dithered, which keeps them small
+ * and the cells sharp.
+ */
+class GifEncoder {
+  /**
+   * Create a new encoder
+   * @param {Object} options - Configuration options
+   * @param {number} options.width - Width of every frame in pixels
+   * @param {number} options.height - Height of every frame in pixels
+   * @param {number} options.delay - Time each frame is shown, in milliseconds
+   */
+  constructor(options) {
+    this.width = options.width;
+    this.height = options.height;
+    this.delay = options.delay || 100;
+    this.chunks = [];
+    this.frameCount = 0;
+
+    this.writeHeader();
+  }
+
+  /**
+   * Write the signature, screen descriptor and looping extension
+   */
+  writeHeader() {
+    this.writeBytes([...'GIF89a'].map((char) => char.charCodeAt(0)));
+
+    // Logical screen without a global palette (each frame brings its own)
+    this.writeBytes([...this.uint16(this.width), ...this.uint16(this.height), 0, 0, 0]);
+
+    // Netscape extension: repeat forever
+    this.writeBytes([0x21, 0xff, 0x0b, ...[...'NETSCAPE2.0'].map((char) => char.charCodeAt(0)), 0x03, 0x01, 0, 0, 0]);
+  }
+
+  /**
+   * Add a frame
+   * @param {Uint8ClampedArray} rgba - Pixels of the frame (RGBA, row-major, width × height)
+   */
+  addFrame(rgba) {
+    const { palette, indices } = this.quantize(rgba);
+
+    // Graphic control extension: frame delay in hundredths of a second, frames replace each other
+    this.writeBytes([0x21, 0xf9, 0x04, 0x04, ...this.uint16(Math.round(this.delay / 10)), 0, 0]);
+
+    // Image descriptor covering the whole screen, with a 256-entry local palette
+    this.writeBytes([0x2c, 0, 0, 0, 0, ...this.uint16(this.width), ...this.uint16(this.height), 0x87]);
+    this.chunks.push(palette);
+
+    // LZW-compressed pixel indices in length-prefixed sub-blocks
+    const data = this.compress(indices);
+    this.writeBytes([MIN_CODE_SIZE]);
+    for (let start = 0; start < data.length; start += MAX_BLOCK_LENGTH) {
+      const block = data.subarray(start, start + MAX_BLOCK_LENGTH);
+      this.writeBytes([block.length]);
+      this.chunks.push(block);
+    }
+    this.writeBytes([0]);
+
+    this.frameCount++;
+  }
+
+  /**
+   * Finish the file
+   * @returns {Uint8Array} - Complete GIF file
+   */
+  finish() {
+    this.writeBytes([0x3b]);
+
+    const length = this.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const file = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      file.set(chunk, offset);
+      offset += chunk.length;
+    }
+
+    return file;
+  }
+
+  /**
+   * Reduce a frame to a palette and a palette index per pixel
+   * @param {Uint8ClampedArray} rgba - Pixels of the frame
+   * @returns {Object} - Palette (256 RGB entries) and indices (one per pixel)
+   */
+  quantize(rgba) {
+    const pixelCount = this.width * this.height;
+    const bucketCount = 1 << (BUCKET_BITS * 3);
+    const counts = new Uint32Array(bucketCount);
+    const sums = new Float64Array(bucketCount * 3);
+
+    for (let i = 0; i < pixelCount; i++) {
+      const bucket = bucketOf(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]);
+      counts[bucket]++;
+      sums[bucket * 3] += rgba[i * 4];
+      sums[bucket * 3 + 1] += rgba[i * 4 + 1];
+      sums[bucket * 3 + 2] += rgba[i * 4 + 2];
+    }
+
+    // Colours of the used buckets (the mean of their pixels)
+    const colors = [];
+    for (let bucket = 0; bucket < bucketCount; bucket++) {
+      if (counts[bucket] === 0) continue;
+      colors.push({
+        bucket,
+        count: counts[bucket],
+        rgb: [0, 1, 2].map((channel) => sums[bucket * 3 + channel] / counts[bucket])
+      });
+    }
+
+    // Median cut: split the box with the widest channel range at its pixel-weighted median until the palette is full
+    const boxes = [measureBox(colors)];
+    while (boxes.length < PALETTE_SIZE) {
+      const widest = boxes.reduce((best, box) => (box.range > best.range ? box : best));
+      if (widest.range === 0) break;
+
+      const sorted = widest.colors.sort((a, b) => a.rgb[widest.channel] - b.rgb[widest.channel]);
+      const total = sorted.reduce((sum, color) => sum + color.count, 0);
+      let split = 1;
+      for (let seen = sorted[0].count; split < sorted.length - 1 && seen < total / 2; split++) {
+        seen += sorted[split].count;
+      }
+
+      boxes.splice(boxes.indexOf(widest), 1, measureBox(sorted.slice(0, split)), measureBox(sorted.slice(split)));
+    }
+
+    // Each box becomes one palette entry, the pixel-weighted mean of its colours
+    const palette = new Uint8Array(PALETTE_SIZE * 3);
+    const lookup = new Uint8Array(bucketCount);
+    boxes.forEach((box, index) => {
+      const total = box.colors.reduce((sum, color) => sum + color.count, 0);
+      for (let channel = 0; channel < 3; channel++) {
+        palette[index * 3 + channel] = Math.round(box.colors.reduce((sum, color) => sum + color.rgb[channel] * color.count, 0) / total);
+      }
+      for (const color of box.colors) {
+        lookup[color.bucket] = index;
+      }
+    });
+
+    const indices = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+      indices[i] = lookup[bucketOf(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2])];
+    }
+
+    return { palette, indices };
+  }
+
+  /**
+   * Compress palette indices with variable-length LZW, as GIF image data expects
+   * @param {Uint8Array} indices - Palette index per pixel
+   * @returns {Uint8Array} - Packed codes, least significant bit first
+   */
+  compress(indices) {
+    const clearCode = 1 << MIN_CODE_SIZE;
+    const endCode = clearCode + 1;
+    const output = [];
+    const dictionary = new Map();
+    let codeSize = MIN_CODE_SIZE + 1;
+    let nextCode = endCode + 1;
+    let buffer = 0;
+    let bufferedBits = 0;
+
+    const writeCode = (code) => {
+      buffer |= code << bufferedBits;
+      bufferedBits += codeSize;
+      while (bufferedBits >= 8) {
+        output.push(buffer & 0xff);
+        buffer >>>= 8;
+        bufferedBits -= 8;
+      }
+    };
+
+    writeCode(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const key = (prefix << 8) | indices[i];
+      const code = dictionary.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      writeCode(prefix);
+
+      if (nextCode === MAX_CODES) {
+        // Dictionary full: start over
+        writeCode(clearCode);
+        dictionary.clear();
+        codeSize = MIN_CODE_SIZE + 1;
+        nextCode = endCode + 1;
+      } else {
+        // Codes grow a bit once the next entry no longer fits, in step with the decoder
+        if (nextCode >= 1 << codeSize) codeSize++;
+        dictionary.set(key, nextCode++);
+      }
+
+      prefix = indices[i];
+    }
+
+    writeCode(prefix);
+    writeCode(endCode);
+    if (bufferedBits > 0) {
+      output.push(buffer & 0xff);
+    }
+
+    return Uint8Array.from(output);
+  }
+
+  /**
+   * Split a number into two little-endian bytes
+   * @param {number} value - Value (0-65535)
+   * @returns {Array<number>} - Low and high byte
+   */
+  uint16(value) {
+    return [value & 0xff, (value >> 8) & 0xff];
+  }
+
+  /**
+   * Append bytes to the file
+   * @param {Array<number>} bytes - Bytes to append
+   */
+  writeBytes(bytes) {
+    this.chunks.push(Uint8Array.from(bytes));
+  }
+}
+
+export default GifEncoder;
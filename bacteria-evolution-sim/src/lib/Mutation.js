@@ -0,0 +1,137 @@
+import Random from './Random.js';
+import { clamp } from './utils.js';
+
+/**
+ * Distributions the size of a trait mutation can be drawn from
+ */
+export const MUTATION_DISTRIBUTIONS = [
+  { value: 'uniform', label: 'Uniform' },
+  { value: 'gaussian', label: 'Gaussian' },
+  { value: 'logNormal', label: 'Log-normal' }
+];
+
+/**
+ * Ways a mutation can be applied to a trait value
+ */
+export const MUTATION_MODES = [
+  { value: 'multiplicative', label: 'Multiplicative' },
+  { value: 'additive', label: 'Additive' }
+];
+
+/**
+ * Default mutation settings per heritable trait.
+ * A uniform multiplicative step of 0.2 changes a trait by up to 20% either way;
+ * the optima shift by absolute amounts as they live on the environment's scales.
+ * The bounds keep traits in the range where the model makes sense, e.g. a
+ * mutation rate is a probability and cannot exceed 1.
+ */
+export const DEFAULT_MUTATION_SETTINGS = {
+  size: { step: 0.2, distribution: 'uniform', mode: 'multiplicative', min: 1, max: 20 },
+  speed: { step: 0.2, distribution: 'uniform', mode: 'multiplicative', min: 0.1, max: 5 },
+  metabolism: { step: 0.2, distribution: 'uniform', mode: 'multiplicative', min: 0.1, max: 3 },
+  resistance: { step: 0.2, distribution: 'uniform', mode: 'multiplicative', min: 0.05, max: 3 },
+  lifespan: { step: 0.2, distribution: 'uniform', mode: 'multiplicative', min: 10, max: 500 },
+  mutationRate: { step: 0.2, distribution: 'uniform', mode: 'multiplicative', min: 0.001, max: 1 },
+  chemotacticSensitivity: { step: 0.2, distribution: 'uniform', mode: 'multiplicative', min: 0.5, max: 200 },
+  toxinAvoidance: { step: 0.2, distribution: 'uniform', mode: 'multiplicative', min: 0.1, max: 50 },
+  optimalTemperature: { step: 5, distribution: 'gaussian', mode: 'additive', min: 0, max: 100 },
+  optimalPH: { step: 0.5, distribution: 'gaussian', mode: 'additive', min: 0, max: 14 },
+  toleranceWidth: { step: 0.2, distribution: 'uniform', mode: 'multiplicative', min: 0.2, max: 5 }
+};
+
+/**
+ * MutationModel class describing how traits change when they mutate directly
+ * (without the genome model) and the bounds every trait is kept within.
+ *
+ * Each trait has a step, the spread of its mutations, drawn from a uniform
+ * (on [-step, step]), gaussian (standard deviation step) or log-normal
+ * distribution. In multiplicative mode the draw is a relative change, so
+ * mutations scale with the trait; in additive mode it is added as is.
+ */
+class MutationModel {
+  /**
+   * Create a new mutation model
+   * @param {Object} options - Configuration options
+   * @param {Object} options.settings - Settings by trait ({ step, distribution, mode, min, max }),
+   *   merged over DEFAULT_MUTATION_SETTINGS
+   * @param {Random} options.rng - Random number generator shared with the simulation
+   */
+  constructor(options = {}) {
+    this.rng = options.rng || new Random();
+    this.setSettings(options.settings);
+  }
+
+  /**
+   * Replace the settings, keeping the defaults for anything not given
+   * @param {Object} settings - Settings by trait (partial settings are allowed)
+   */
+  setSettings(settings = {}) {
+    this.settings = {};
+    for (const trait of Object.keys(DEFAULT_MUTATION_SETTINGS)) {
+      this.settings[trait] = { ...DEFAULT_MUTATION_SETTINGS[trait], ...settings[trait] };
+    }
+  }
+
+  /**
+   * Draw a mutation of the given spread
+   * @param {string} distribution - Distribution to draw from (see MUTATION_DISTRIBUTIONS)
+   * @param {number} step - Spread of the distribution
+   * @returns {number} - Change (relative in multiplicative mode, absolute in additive mode)
+   */
+  drawChange(distribution, step) {
+    switch (distribution) {
+      case 'gaussian':
+        return this.rng.normal(0, step);
+      case 'logNormal':
+        // exp of a normal is never below zero, so a multiplicative change never flips the sign
+        return Math.exp(this.rng.normal(0, step)) - 1;
+      default:
+        return this.rng.range(-1, 1) * step;
+    }
+  }
+
+  /**
+   * Mutate a trait value
+   * @param {string} trait - Trait name
+   * @param {number} value - Current value
+   * @returns {number} - Mutated value, within the trait's bounds
+   */
+  mutate(trait, value) {
+    const { step, distribution, mode } = this.settings[trait];
+    const change = this.drawChange(distribution, step);
+    const mutated = mode === 'additive' ? value + change : value * (1 + change);
+
+    return this.clamp(trait, mutated);
+  }
+
+  /**
+   * Keep a trait value within its bounds
+   * @param {string} trait - Trait name
+   * @param {number} value - Trait value
+   * @returns {number} - Value clamped to the trait's min and max
+   */
+  clamp(trait, value) {
+    const { min, max } = this.settings[trait];
+    return clamp(value, min, max);
+  }
+
+  /**
+   * Serialize the mutation settings
+   * @returns {Object} - Plain object suitable for JSON
+   */
+  toJSON() {
+    return { settings: this.settings };
+  }
+
+  /**
+   * Restore a mutation model from serialized data
+   * @param {Object} data - Data produced by toJSON
+   * @param {Random} rng - Random number generator shared with the simulation
+   * @returns {MutationModel} - Restored mutation model
+   */
+  static fromJSON(data, rng) {
+    return new MutationModel({ ...data, rng });
+  }
+}
+
+export default MutationModel;
@@ -0,0 +1,83 @@
+/**
+ * Seedable pseudo-random number generator shared by all simulation components.
+ * Uses the Mulberry32 algorithm so that a run can be reproduced from its seed.
+ */
+class Random {
+  /**
+   * Create a new random number generator
+   * @param {number} seed - 32-bit integer seed (random if omitted)
+   */
+  constructor(seed = Random.randomSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Generate a seed from the non-deterministic Math.random
+   * @returns {number} - 32-bit unsigned integer seed
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  /**
+   * Get the next random number
+   * @returns {number} - Random number in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a random number in a range
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (exclusive)
+   * @returns {number} - Random number in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Get a normally distributed random number (Box-Muller transform)
+   * @param {number} mean - Mean of the distribution
+   * @param {number} sd - Standard deviation of the distribution
+   * @returns {number} - Random number
+   */
+  normal(mean = 0, sd = 1) {
+    const u = 1 - this.next(); // (0, 1] so the logarithm is finite
+    const v = this.next();
+    return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Return true with the given probability
+   * @param {number} probability - Probability of returning true (0-1)
+   * @returns {boolean} - Outcome of the trial
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Get the internal generator state
+   * @returns {number} - Current state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restore the internal generator state
+   * @param {number} state - State previously returned by getState
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+export default Random;
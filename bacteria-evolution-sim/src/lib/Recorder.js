@@ -0,0 +1,125 @@
+import GifEncoder from './GifEncoder.js';
+import { createZip } from './zip.js';
+import { drawFrame } from './renderer.js';
+
+/**
+ * Formats a recording can be saved in
+ */
+export const RECORDING_FORMATS = [
+  { value: 'gif', label: 'Animated GIF' },
+  { value: 'png', label: 'PNG Frames (ZIP)' }
+];
+
+// Time each recorded frame is shown in the GIF, in milliseconds
+const GIF_FRAME_DELAY = 100;
+
+/**
+ * Recorder class that captures simulation frames into an animated GIF or a
+ * sequence of PNG images.
+ *
+ * Frames arrive once per loop tick, which may cover several simulation steps,
+ * so a frame is captured whenever at least the chosen number of steps has
+ * passed since the last capture. Each captured frame is drawn afresh from the
+ * frame data at the recording's own resolution, with or without overlays,
+ * rather than copied from the on-screen canvas.
+ */
+class Recorder {
+  /**
+   * Create a new recorder
+   * @param {Object} options - Recording options
+   * @param {string} options.format - Output format (see RECORDING_FORMATS)
+   * @param {number} options.interval - Simulation steps between captured frames
+   * @param {number} options.scale - Resolution relative to the arena (1 is one pixel per arena pixel)
+   * @param {boolean} options.showFields - Whether the nutrient, toxicity and antibiotic fields are drawn
+   * @param {boolean} options.showGeneration - Whether a generation counter is drawn
+   * @param {boolean} options.showLegend - Whether the colour legend is drawn
+   */
+  constructor(options = {}) {
+    this.format = options.format || 'gif';
+    this.interval = Math.max(1, options.interval || 1);
+    this.scale = options.scale || 1;
+    this.showFields = options.showFields !== undefined ? options.showFields : true;
+    this.showGeneration = options.showGeneration !== undefined ? options.showGeneration : true;
+    this.showLegend = options.showLegend !== undefined ? options.showLegend : true;
+
+    this.canvas = null;
+    this.gifEncoder = null;
+    this.pngFrames = [];
+    this.frameCount = 0;
+    this.firstGeneration = null;
+    this.lastGeneration = null;
+  }
+
+  /**
+   * Capture a simulation frame if enough steps have passed since the last one
+   * @param {Object} frame - Frame produced by Simulation.getFrame
+   * @returns {boolean} - Whether the frame was captured
+   */
+  capture(frame) {
+    // A reset or loaded snapshot moves the generation back, so recording carries on from there
+    const due = this.lastGeneration === null ||
+      frame.generation >= this.lastGeneration + this.interval ||
+      frame.generation < this.lastGeneration;
+    if (!due) return false;
+
+    // The size is fixed by the first frame; GIF frames must all match
+    if (!this.canvas) {
+      const { width, height } = frame.environment;
+      this.canvas = new OffscreenCanvas(Math.round(width * this.scale), Math.round(height * this.scale));
+      if (this.format === 'gif') {
+        this.gifEncoder = new GifEncoder({ width: this.canvas.width, height: this.canvas.height, delay: GIF_FRAME_DELAY });
+      }
+    }
+
+    const ctx = this.canvas.getContext('2d');
+    const { width, height } = frame.environment;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    drawFrame(ctx, frame, {
+      showNutrients: this.showFields,
+      showToxicity: this.showFields,
+      showAntibiotics: this.showFields,
+      showLegend: this.showLegend,
+      showGeneration: this.showGeneration,
+      camera: { x: width / 2, y: height / 2, zoom: Math.min(this.canvas.width / width, this.canvas.height / height) },
+      showMiniMap: false
+    });
+
+    if (this.format === 'gif') {
+      this.gifEncoder.addFrame(ctx.getImageData(0, 0, this.canvas.width, this.canvas.height).data);
+    } else {
+      this.pngFrames.push({ generation: frame.generation, blob: this.canvas.convertToBlob({ type: 'image/png' }) });
+    }
+
+    if (this.firstGeneration === null) this.firstGeneration = frame.generation;
+    this.lastGeneration = frame.generation;
+    this.frameCount++;
+    return true;
+  }
+
+  /**
+   * Finish the recording
+   * @returns {Promise<Object>} - File content (Uint8Array), MIME type, file extension and the
+   *   first and last generation recorded
+   */
+  async finish() {
+    if (this.frameCount === 0) throw new Error('No frames were recorded');
+
+    const range = { firstGeneration: this.firstGeneration, lastGeneration: this.lastGeneration };
+
+    if (this.format === 'gif') {
+      return { data: this.gifEncoder.finish(), type: 'image/gif', extension: 'gif', ...range };
+    }
+
+    // Numbered in capture order, padded so the files sort correctly
+    const digits = String(this.pngFrames.length).length;
+    const files = await Promise.all(this.pngFrames.map(async ({ generation, blob }, index) => ({
+      name: `frame-${String(index + 1).padStart(digits, '0')}-gen${generation}.png`,
+      data: new Uint8Array(await (await blob).arrayBuffer())
+    })));
+
+    return { data: createZip(files), type: 'application/zip', extension: 'zip', ...range };
+  }
+}
+
+export default Recorder;
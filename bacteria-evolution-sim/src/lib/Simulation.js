@@ -1,5 +1,14 @@
-import Bacterium from './Bacterium';
-import Environment from './Environment';
+import Bacterium, { HERITABLE_TRAITS, PLASMID_RESISTANCE } from './Bacterium.js';
+import Environment from './Environment.js';
+import Genealogy from './Genealogy.js';
+import GenomeModel from './Genome.js';
+import MutationModel from './Mutation.js';
+import Random from './Random.js';
+import { colorPopulation } from './colorModes.js';
+import { log } from './logger.js';
+
+// Bump when the snapshot format changes incompatibly
+const SNAPSHOT_VERSION = 14;
 
 /**
  * Simulation class to control the bacteria evolution simulation
@@ -11,16 +20,22 @@ class Simulation {
    * @param {Object} options.environmentParams - Parameters for the environment
    * @param {Object} options.initialBacteriaParams - Parameters for initial bacteria
    * @param {number} options.initialPopulation - Initial number of bacteria
+   * @param {number} options.seed - Seed for the random number generator (random if omitted)
    */
   constructor(options = {}) {
     const { 
       environmentParams = {}, 
       initialBacteriaParams = {},
-      initialPopulation = 50
+      initialPopulation = 50,
+      seed = Random.randomSeed()
     } = options;
     
-    console.log("Simulation constructor called with environmentParams:", environmentParams);
-    this.environment = new Environment(environmentParams);
+    // All randomness flows from this generator so runs can be reproduced
+    this.seed = seed;
+    this.rng = new Random(seed);
+    
+    log("Simulation constructor called with environmentParams:", environmentParams, "seed:", seed);
+    this.environment = new Environment({ ...environmentParams, rng: this.rng });
     this.bacteria = [];
     this.initialBacteriaParams = initialBacteriaParams;
     this.initialPopulation = initialPopulation;
@@ -30,7 +45,7 @@ class Simulation {
     
     // Initialize bacteria population
     this.initializePopulation();
-    console.log("Simulation initialized. Initial population:", this.bacteria.length);
+    log("Simulation initialized. Initial population:", this.bacteria.length);
   }
   
   /**
@@ -39,21 +54,68 @@ class Simulation {
   initializePopulation() {
     this.bacteria = [];
     
+    // Lineage tracking starts afresh with the founders
+    this.nextId = 1;
+    this.genealogy = new Genealogy();
+    
+    // Fraction of founders carrying a resistance plasmid
+    const plasmidFraction = this.initialBacteriaParams.plasmidFraction ?? 0.1;
+    
+    // Founders of a genome model run start from ancestral genomes
+    this.genomeModel = this.initialBacteriaParams.genomeEnabled
+      ? new GenomeModel({ ...this.initialBacteriaParams, rng: this.rng })
+      : null;
+    
+    // Direct trait mutations and trait bounds
+    this.mutationModel = new MutationModel({ settings: this.initialBacteriaParams.mutationSettings, rng: this.rng });
+    
     for (let i = 0; i < this.initialPopulation; i++) {
+      const x = this.rng.next() * this.environment.width;
+      const y = this.rng.next() * this.environment.height;
+      const traits = {
+        size: this.initialBacteriaParams.size || 5 + this.rng.range(-1.5, 1.5),
+        speed: this.initialBacteriaParams.speed || 1 + this.rng.range(-0.3, 0.3),
+        metabolism: this.initialBacteriaParams.metabolism || 1 + this.rng.range(-0.2, 0.2),
+        resistance: this.initialBacteriaParams.resistance || 1 + this.rng.range(-0.2, 0.2),
+        lifespan: this.initialBacteriaParams.lifespan || 100 + this.rng.range(-20, 20),
+        mutationRate: this.initialBacteriaParams.mutationRate || 0.1 + this.rng.range(-0.02, 0.02),
+        chemotacticSensitivity: this.initialBacteriaParams.chemotacticSensitivity || 20 + this.rng.range(-4, 4),
+        toxinAvoidance: this.initialBacteriaParams.toxinAvoidance || 5 + this.rng.range(-1, 1),
+        optimalTemperature: this.initialBacteriaParams.optimalTemperature ?? 50 + this.rng.range(-5, 5),
+        optimalPH: this.initialBacteriaParams.optimalPH ?? 7 + this.rng.range(-0.5, 0.5),
+        toleranceWidth: this.initialBacteriaParams.toleranceWidth || 1 + this.rng.range(-0.1, 0.1)
+      };
+      
       const bacterium = new Bacterium({
-        x: Math.random() * this.environment.width,
-        y: Math.random() * this.environment.height,
-        size: this.initialBacteriaParams.size || 5 + (Math.random() * 3 - 1.5),
-        speed: this.initialBacteriaParams.speed || 1 + (Math.random() * 0.6 - 0.3),
-        metabolism: this.initialBacteriaParams.metabolism || 1 + (Math.random() * 0.4 - 0.2),
-        resistance: this.initialBacteriaParams.resistance || 1 + (Math.random() * 0.4 - 0.2),
-        lifespan: this.initialBacteriaParams.lifespan || 100 + (Math.random() * 40 - 20),
-        mutationRate: this.initialBacteriaParams.mutationRate || 0.1 + (Math.random() * 0.04 - 0.02)
+        x,
+        y,
+        ...traits,
+        plasmid: this.rng.chance(plasmidFraction) ? { resistance: PLASMID_RESISTANCE } : null,
+        genome: this.genomeModel ? this.genomeModel.createGenome(traits) : null,
+        genomeModel: this.genomeModel,
+        mutationModel: this.mutationModel,
+        rng: this.rng,
+        birthGeneration: this.environment.generation
       });
       
+      this.registerBirth(bacterium);
       this.bacteria.push(bacterium);
     }
-    console.log("Population initialized with", this.bacteria.length, "bacteria.");
+    log("Population initialized with", this.bacteria.length, "bacteria.");
+  }
+  
+  /**
+   * Assign an id to a new bacterium and add it to the genealogy
+   * @param {Bacterium} bacterium - Newly created bacterium
+   */
+  registerBirth(bacterium) {
+    bacterium.id = this.nextId++;
+    
+    // Founders start their own lineage
+    if (bacterium.founderId === null) {
+      bacterium.founderId = bacterium.id;
+    }
+    this.genealogy.addBirth(bacterium);
   }
   
   /**
@@ -61,7 +123,7 @@ class Simulation {
    */
   start() {
     this.running = true;
-    console.log("Simulation started.");
+    log("Simulation started.");
   }
   
   /**
@@ -69,25 +131,29 @@ class Simulation {
    */
   pause() {
     this.running = false;
-    console.log("Simulation paused.");
+    log("Simulation paused.");
   }
   
   /**
    * Reset the simulation
    */
   reset() {
-    console.log("Resetting simulation...");
+    log("Resetting simulation...");
+    // Restart the random sequence so a reset run replays the same history
+    this.rng.setState(this.seed);
+    
     // Preserve current width and height when resetting environment
-    const currentEnvParams = this.environment.getStatistics().currentParameters;
-    console.log("Current environment parameters before reset:", currentEnvParams);
+    const currentEnvParams = this.environment.getParameters();
+    log("Current environment parameters before reset:", currentEnvParams);
     this.environment = new Environment({
       ...currentEnvParams,
       width: currentEnvParams.width,
-      height: currentEnvParams.height
+      height: currentEnvParams.height,
+      rng: this.rng
     });
     
     this.initializePopulation();
-    console.log("Simulation reset complete.");
+    log("Simulation reset complete.");
   }
   
   /**
@@ -96,7 +162,7 @@ class Simulation {
    */
   setSpeed(speed) {
     this.speed = speed;
-    console.log("Simulation speed set to:", speed);
+    log("Simulation speed set to:", speed);
   }
   
   /**
@@ -109,7 +175,7 @@ class Simulation {
     }
     
     // Update environment
-    this.environment.update(this.bacteria);
+    this.environment.update(this.bacteria, this.genomeModel);
     
     // Update each bacterium
     const newBacteria = [];
@@ -119,7 +185,13 @@ class Simulation {
       const localEnvironment = {
         ...this.environment,
         nutrients: this.environment.getNutrientAt(bacterium.x, bacterium.y),
-        toxicity: this.environment.getToxicityAt(bacterium.x, bacterium.y)
+        toxicity: this.environment.getToxicityAt(bacterium.x, bacterium.y),
+        antibiotics: this.environment.getAntibioticAt(bacterium.x, bacterium.y),
+        nutrientGradient: this.environment.getNutrientGradientAt(bacterium.x, bacterium.y),
+        toxinGradient: this.environment.getToxicityGradientAt(bacterium.x, bacterium.y),
+        isWallAt: (x, y) => this.environment.isWallAt(x, y),
+        consumeNutrients: (amount) => this.environment.consumeNutrientAt(bacterium.x, bacterium.y, amount),
+        secreteToxin: (energySpent) => this.environment.secreteToxinAt(bacterium.x, bacterium.y, energySpent)
       };
       
       // Update bacterium
@@ -132,22 +204,71 @@ class Simulation {
         if (this.bacteria.length < this.environment.carryingCapacity) {
           const child = bacterium.reproduce(localEnvironment);
           if (child) {
+            this.registerBirth(child);
+            this.environment.recordBirth();
             newBacteria.push(child);
           }
         }
+      } else {
+        this.environment.recordDeath(bacterium.causeOfDeath);
+        this.genealogy.recordDeath(bacterium.id, this.environment.generation);
       }
     }
     
     this.bacteria = newBacteria;
     
+    // Horizontal gene transfer between neighbouring cells
+    this.conjugate();
+    
     // If population is extinct, optionally restart
     if (this.bacteria.length === 0) {
-      console.log("Population extinct at generation", this.environment.generation);
+      log("Population extinct at generation", this.environment.generation);
     }
     
     return this.getState();
   }
   
+  /**
+   * Transfer plasmids from carriers to plasmid-free bacteria they touch
+   */
+  conjugate() {
+    const rate = this.environment.conjugationRate;
+    const donors = this.bacteria.filter(bacterium => bacterium.plasmid);
+    if (rate <= 0 || donors.length === 0) return;
+    
+    // Bucket potential recipients so each donor only checks its neighbourhood
+    const cellSize = 2 * this.bacteria.reduce((largest, bacterium) => Math.max(largest, bacterium.size), 0);
+    const cellKey = (cellX, cellY) => cellX * 65536 + cellY;
+    const buckets = new Map();
+    
+    for (const bacterium of this.bacteria) {
+      if (bacterium.plasmid) continue;
+      
+      const key = cellKey(Math.floor(bacterium.x / cellSize), Math.floor(bacterium.y / cellSize));
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(bacterium);
+    }
+    
+    for (const donor of donors) {
+      const cellX = Math.floor(donor.x / cellSize);
+      const cellY = Math.floor(donor.y / cellSize);
+      
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (const recipient of buckets.get(cellKey(cellX + dx, cellY + dy)) || []) {
+            // Cells are in contact when their bodies touch
+            const distance = Math.hypot(recipient.x - donor.x, recipient.y - donor.y);
+            if (recipient.plasmid || distance > donor.size + recipient.size) continue;
+            
+            if (this.rng.chance(rate)) {
+              recipient.receivePlasmid(donor.plasmid);
+            }
+          }
+        }
+      }
+    }
+  }
+  
   /**
    * Get current simulation state
    * @returns {Object} - Current state
@@ -158,19 +279,128 @@ class Simulation {
       environment: this.environment,
       running: this.running,
       speed: this.speed,
+      seed: this.seed,
       statistics: this.environment.getStatistics()
     };
   }
   
+  /**
+   * Find a living bacterium by id
+   * @param {number} id - Bacterium id
+   * @returns {Bacterium|null} - The bacterium, or null if there is no living bacterium with that id
+   */
+  findBacterium(id) {
+    return this.bacteria.find(bacterium => bacterium.id === id) || null;
+  }
+  
+  /**
+   * Describe one bacterium for inspection
+   * @param {Bacterium} bacterium - Bacterium to describe (it may have died since it was found)
+   * @returns {Object} - Traits, internal state, local conditions and, once dead, its cause and generation of death
+   */
+  describeBacterium(bacterium) {
+    const traits = {};
+    for (const trait of HERITABLE_TRAITS) {
+      traits[trait] = bacterium[trait];
+    }
+    
+    return {
+      id: bacterium.id,
+      parentId: bacterium.parentId,
+      x: bacterium.x,
+      y: bacterium.y,
+      traits,
+      age: bacterium.age,
+      lifespan: bacterium.lifespan,
+      energy: bacterium.energy,
+      reproductionCooldown: bacterium.reproductionCooldown,
+      offspringCount: bacterium.offspringCount,
+      plasmid: bacterium.plasmid !== null,
+      nutrients: this.environment.getNutrientAt(bacterium.x, bacterium.y),
+      toxicity: this.environment.getToxicityAt(bacterium.x, bacterium.y),
+      birthGeneration: bacterium.birthGeneration,
+      alive: bacterium.alive,
+      causeOfDeath: bacterium.causeOfDeath,
+      // Age counts the steps lived, so it marks the generation of death
+      deathGeneration: bacterium.alive ? null : bacterium.birthGeneration + bacterium.age
+    };
+  }
+  
+  /**
+   * Get a compact, transferable frame for rendering outside the simulation thread
+   * @param {Object} options - Frame options
+   * @param {number} options.highlightedLineage - Genealogy node whose living descendants are flagged
+   * @param {Object} options.colorMode - Property and scale the bacteria are coloured by (see colorPopulation)
+   * @returns {Object} - Typed arrays of bacterium ids, positions, velocities, sizes, RGB colors and
+   *   highlight flags, plus the colour legend and the environment render data
+   */
+  getFrame(options = {}) {
+    const { highlightedLineage = null, colorMode = {} } = options;
+    const count = this.bacteria.length;
+    const ids = new Uint32Array(count);
+    const positions = new Float32Array(count * 2);
+    const velocities = new Float32Array(count * 2);
+    const sizes = new Float32Array(count);
+    const { colors, legend } = colorPopulation(this.bacteria, colorMode);
+    
+    this.bacteria.forEach((bacterium, i) => {
+      ids[i] = bacterium.id;
+      positions[i * 2] = bacterium.x;
+      positions[i * 2 + 1] = bacterium.y;
+      velocities[i * 2] = bacterium.vx;
+      velocities[i * 2 + 1] = bacterium.vy;
+      sizes[i] = bacterium.size;
+    });
+    
+    // Flag living descendants of the highlighted lineage
+    let highlighted = null;
+    if (highlightedLineage !== null) {
+      const descendants = new Set(this.genealogy.getLivingDescendants(highlightedLineage));
+      highlighted = new Uint8Array(count);
+      this.bacteria.forEach((bacterium, i) => {
+        highlighted[i] = descendants.has(bacterium.id) ? 1 : 0;
+      });
+    }
+    
+    return {
+      generation: this.environment.generation,
+      count,
+      ids,
+      positions,
+      velocities,
+      sizes,
+      colors,
+      highlighted,
+      legend,
+      environment: this.environment.getRenderData()
+    };
+  }
+  
   /**
    * Set environment parameters
    * @param {Object} params - New parameters
    */
   setEnvironmentParameters(params) {
-    console.log("Setting environment parameters:", params);
+    log("Setting environment parameters:", params);
     this.environment.setParameters(params);
   }
   
+  /**
+   * Paint into the environment's fields or walls
+   * @param {Object} dab - Tool, position, radius and strength (see Environment.paint)
+   */
+  paint(dab) {
+    this.environment.paint(dab);
+  }
+  
+  /**
+   * Remove all walls from the environment
+   */
+  clearWalls() {
+    log("Clearing walls");
+    this.environment.clearWalls();
+  }
+  
   /**
    * Set initial bacteria parameters
    * @param {Object} params - New parameters
@@ -180,7 +410,12 @@ class Simulation {
       ...this.initialBacteriaParams,
       ...params
     };
-    console.log("Setting initial bacteria parameters:", this.initialBacteriaParams);
+    
+    // Mutation settings apply to the living population straight away
+    if (params.mutationSettings) {
+      this.mutationModel.setSettings(params.mutationSettings);
+    }
+    log("Setting initial bacteria parameters:", this.initialBacteriaParams);
   }
   
   /**
@@ -189,22 +424,61 @@ class Simulation {
    */
   setInitialPopulation(size) {
     this.initialPopulation = size;
-    console.log("Setting initial population size:", size);
+    log("Setting initial population size:", size);
   }
   
   /**
-   * Draw the simulation on a canvas
-   * @param {CanvasRenderingContext2D} ctx - Canvas context
-   * @param {Object} options - Drawing options
+   * Serialize the complete simulation so it can be restored later
+   * @returns {Object} - Snapshot suitable for JSON
    */
-  draw(ctx, options = {}) {
-    // Draw environment
-    this.environment.draw(ctx, options);
-    
-    // Draw bacteria
-    for (const bacterium of this.bacteria) {
-      bacterium.draw(ctx);
+  toJSON() {
+    return {
+      version: SNAPSHOT_VERSION,
+      seed: this.seed,
+      rngState: this.rng.getState(),
+      speed: this.speed,
+      initialBacteriaParams: this.initialBacteriaParams,
+      initialPopulation: this.initialPopulation,
+      nextId: this.nextId,
+      genomeModel: this.genomeModel ? this.genomeModel.toJSON() : null,
+      mutationModel: this.mutationModel.toJSON(),
+      environment: this.environment.toJSON(),
+      bacteria: this.bacteria.map(bacterium => bacterium.toJSON()),
+      genealogy: this.genealogy.toJSON()
+    };
+  }
+  
+  /**
+   * Restore a simulation from a snapshot
+   * @param {Object} data - Snapshot produced by toJSON
+   * @returns {Simulation} - Restored simulation, paused
+   */
+  static fromJSON(data) {
+    if (!data || data.version !== SNAPSHOT_VERSION || !data.environment || !Array.isArray(data.bacteria)) {
+      throw new Error('Unsupported or invalid simulation snapshot');
     }
+    
+    const simulation = new Simulation({
+      environmentParams: data.environment.parameters,
+      initialBacteriaParams: data.initialBacteriaParams,
+      initialPopulation: data.initialPopulation,
+      seed: data.seed
+    });
+    
+    simulation.speed = data.speed;
+    simulation.environment = Environment.fromJSON(data.environment, simulation.rng);
+    simulation.genomeModel = data.genomeModel ? GenomeModel.fromJSON(data.genomeModel, simulation.rng) : null;
+    simulation.mutationModel = MutationModel.fromJSON(data.mutationModel, simulation.rng);
+    simulation.bacteria = data.bacteria.map(bacterium => (
+      Bacterium.fromJSON(bacterium, simulation.rng, simulation.genomeModel, simulation.mutationModel)
+    ));
+    simulation.nextId = data.nextId;
+    simulation.genealogy = Genealogy.fromJSON(data.genealogy);
+    
+    // Restore the generator last, constructing the objects above consumes random numbers
+    simulation.rng.setState(data.rngState);
+    
+    return simulation;
   }
 }
 
@@ -0,0 +1,171 @@
+import { HERITABLE_TRAITS, TRAIT_LABELS } from './Bacterium.js';
+import { hslToRgb } from './utils.js';
+
+/**
+ * Properties bacteria can be coloured by
+ */
+export const COLOR_MODES = [
+  { value: 'default', label: 'Resistance, Metabolism and Speed' },
+  ...HERITABLE_TRAITS.map((trait) => ({ value: trait, label: TRAIT_LABELS[trait] })),
+  { value: 'age', label: 'Age' },
+  { value: 'energy', label: 'Energy' },
+  { value: 'lineage', label: 'Lineage' },
+  { value: 'plasmid', label: 'Plasmid' },
+  { value: 'birthGeneration', label: 'Generation of Birth' }
+];
+
+/**
+ * Colour scales numeric properties are mapped onto, as evenly spaced RGB stops from low to high
+ */
+export const COLOR_SCALES = [
+  {
+    value: 'viridis',
+    label: 'Viridis',
+    stops: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]]
+  },
+  {
+    value: 'plasma',
+    label: 'Plasma',
+    stops: [[13, 8, 135], [126, 3, 168], [204, 71, 120], [248, 149, 64], [240, 249, 33]]
+  },
+  {
+    value: 'coolWarm',
+    label: 'Cool to Warm',
+    stops: [[59, 76, 192], [141, 176, 254], [221, 221, 221], [244, 154, 123], [180, 4, 38]]
+  },
+  {
+    value: 'grayscale',
+    label: 'Grayscale',
+    stops: [[20, 20, 20], [235, 235, 235]]
+  }
+];
+
+// Modes that colour by category rather than along a scale
+const CATEGORICAL_MODES = ['default', 'lineage', 'plasmid'];
+
+// Colours of plasmid carriers and plasmid-free cells
+const PLASMID_COLOR = [234, 88, 12];
+const PLASMID_FREE_COLOR = [100, 116, 139];
+
+// Number of the largest lineages listed in the legend
+const LEGEND_LINEAGES = 5;
+
+/**
+ * Whether a colour mode maps values onto a colour scale
+ * @param {string} colorBy - Colour mode (see COLOR_MODES)
+ * @returns {boolean} - True for numeric modes, false for categorical ones
+ */
+export const usesColorScale = (colorBy) => !CATEGORICAL_MODES.includes(colorBy);
+
+/**
+ * Interpolate a colour along a scale
+ * @param {Array<Array<number>>} stops - RGB stops from low to high
+ * @param {number} t - Position along the scale (0-1)
+ * @returns {Array<number>} - Red, green and blue components (0-255)
+ */
+export const scaleColor = (stops, t) => {
+  const position = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const fraction = position - index;
+  const from = stops[index];
+  const to = stops[index + 1];
+
+  return from.map((component, i) => Math.round(component + (to[i] - component) * fraction));
+};
+
+/**
+ * Distinct colour for a lineage: consecutive founder ids are spread around the
+ * hue circle by the golden angle, and cycle through three lightnesses so ids
+ * that land on similar hues still differ
+ * @param {number} founderId - Id of the lineage's founder
+ * @returns {Array<number>} - Red, green and blue components (0-255)
+ */
+export const lineageColor = (founderId) => hslToRgb(founderId * 137.508, 70, 35 + (founderId % 3) * 15);
+
+/**
+ * Colour a population for rendering and describe the colouring for a legend.
+ *
+ * The default mode keeps the original mapping of resistance to hue, metabolism
+ * to saturation and speed to lightness. Numeric modes spread the population's
+ * current range of the property over the chosen scale, so the colours stay
+ * readable however far the population has evolved. Lineages are coloured by
+ * founder, and the legend lists the largest of them.
+ * @param {Array<Bacterium>} bacteria - Bacteria to colour
+ * @param {Object} colorMode - Colour mode
+ * @param {string} colorMode.colorBy - Property to colour by (see COLOR_MODES)
+ * @param {string} colorMode.scale - Colour scale for numeric properties (see COLOR_SCALES)
+ * @returns {Object} - RGB colours per bacterium ({ colors }) and the legend ({ label } with
+ *   { min, max, stops } for a scale or { entries: [{ label, color }] } for categories)
+ */
+export const colorPopulation = (bacteria, colorMode = {}) => {
+  const { colorBy = 'default', scale = 'viridis' } = colorMode;
+  const colors = new Uint8Array(bacteria.length * 3);
+
+  if (colorBy === 'plasmid') {
+    let carriers = 0;
+    bacteria.forEach((bacterium, i) => {
+      colors.set(bacterium.plasmid ? PLASMID_COLOR : PLASMID_FREE_COLOR, i * 3);
+      if (bacterium.plasmid) carriers++;
+    });
+
+    return {
+      colors,
+      legend: {
+        label: 'Plasmid',
+        entries: [
+          { label: `Carrier (${carriers})`, color: PLASMID_COLOR },
+          { label: `Plasmid-free (${bacteria.length - carriers})`, color: PLASMID_FREE_COLOR }
+        ]
+      }
+    };
+  }
+
+  if (colorBy === 'lineage') {
+    const sizes = new Map();
+    bacteria.forEach((bacterium, i) => {
+      colors.set(lineageColor(bacterium.founderId), i * 3);
+      sizes.set(bacterium.founderId, (sizes.get(bacterium.founderId) || 0) + 1);
+    });
+
+    const largest = [...sizes.entries()].sort((a, b) => b[1] - a[1]).slice(0, LEGEND_LINEAGES);
+
+    return {
+      colors,
+      legend: {
+        label: `Lineage (${sizes.size} founder${sizes.size === 1 ? '' : 's'})`,
+        entries: largest.map(([founderId, size]) => ({ label: `#${founderId} (${size})`, color: lineageColor(founderId) }))
+      }
+    };
+  }
+
+  if (!usesColorScale(colorBy) || !COLOR_MODES.some((mode) => mode.value === colorBy)) {
+    bacteria.forEach((bacterium, i) => {
+      colors.set(hslToRgb(...bacterium.calculateColorComponents()), i * 3);
+    });
+
+    return { colors, legend: { label: 'Hue: resistance, saturation: metabolism, lightness: speed' } };
+  }
+
+  // Every numeric mode reads a property of the same name
+  let min = Infinity;
+  let max = -Infinity;
+  for (const bacterium of bacteria) {
+    min = Math.min(min, bacterium[colorBy]);
+    max = Math.max(max, bacterium[colorBy]);
+  }
+
+  const { stops } = COLOR_SCALES.find((option) => option.value === scale) || COLOR_SCALES[0];
+  bacteria.forEach((bacterium, i) => {
+    colors.set(scaleColor(stops, max > min ? (bacterium[colorBy] - min) / (max - min) : 0.5), i * 3);
+  });
+
+  return {
+    colors,
+    legend: {
+      label: COLOR_MODES.find((mode) => mode.value === colorBy).label,
+      min: bacteria.length > 0 ? min : null,
+      max: bacteria.length > 0 ? max : null,
+      stops
+    }
+  };
+};
@@ -0,0 +1,189 @@
+import { BACTERIA_PRESETS, getBacteriaPreset, meanConfidenceInterval, wilsonInterval } from './utils.js';
+
+/**
+ * Parameter sweeps and replicate experiments built on headless simulation runs
+ */
+
+/**
+ * Parameters that can be swept, grouped by where they are applied
+ */
+export const SWEEP_PARAMETERS = [
+  { key: 'temperature', label: 'Temperature', group: 'environment', min: 0, max: 100, step: 10 },
+  { key: 'pH', label: 'pH Level', group: 'environment', min: 0, max: 14, step: 1 },
+  { key: 'nutrients', label: 'Nutrients', group: 'environment', min: 0, max: 10, step: 1 },
+  { key: 'toxicity', label: 'Toxicity', group: 'environment', min: 0, max: 1, step: 0.1 },
+  { key: 'antibiotics', label: 'Antibiotics', group: 'environment', min: 0, max: 1, step: 0.1 },
+  { key: 'carryingCapacity', label: 'Carrying Capacity', group: 'environment', min: 50, max: 500, step: 50 },
+  { key: 'nutrientScale', label: 'Nutrient Pattern Scale', group: 'environment', min: 50, max: 400, step: 50 },
+  { key: 'nutrientInflow', label: 'Nutrient Inflow', group: 'environment', min: 0, max: 0.1, step: 0.01 },
+  { key: 'nutrientDiffusion', label: 'Nutrient Diffusion', group: 'environment', min: 0, max: 1, step: 0.1 },
+  { key: 'toxinSecretion', label: 'Toxin Secretion', group: 'environment', min: 0, max: 0.05, step: 0.01 },
+  { key: 'conjugationRate', label: 'Conjugation Rate', group: 'environment', min: 0, max: 0.2, step: 0.02 },
+  { key: 'plasmidCost', label: 'Plasmid Cost', group: 'environment', min: 0, max: 0.5, step: 0.05 },
+  { key: 'predationRate', label: 'Predation Rate', group: 'environment', min: 0, max: 0.02, step: 0.002 },
+  { key: 'dilutionRate', label: 'Dilution Rate', group: 'environment', min: 0, max: 0.02, step: 0.002 },
+  { key: 'size', label: 'Size', group: 'bacteria', min: 2, max: 10, step: 1 },
+  { key: 'speed', label: 'Speed', group: 'bacteria', min: 0.2, max: 3, step: 0.2 },
+  { key: 'metabolism', label: 'Metabolism', group: 'bacteria', min: 0.2, max: 2, step: 0.2 },
+  { key: 'resistance', label: 'Resistance', group: 'bacteria', min: 0.2, max: 3, step: 0.2 },
+  { key: 'lifespan', label: 'Lifespan', group: 'bacteria', min: 50, max: 200, step: 25 },
+  { key: 'mutationRate', label: 'Mutation Rate', group: 'bacteria', min: 0.01, max: 0.5, step: 0.05 },
+  { key: 'chemotacticSensitivity', label: 'Chemotactic Sensitivity', group: 'bacteria', min: 10, max: 100, step: 10 },
+  { key: 'toxinAvoidance', label: 'Toxin Avoidance', group: 'bacteria', min: 1, max: 20, step: 2 },
+  { key: 'optimalTemperature', label: 'Optimal Temperature', group: 'bacteria', min: 0, max: 100, step: 10 },
+  { key: 'optimalPH', label: 'Optimal pH', group: 'bacteria', min: 0, max: 14, step: 1 },
+  { key: 'toleranceWidth', label: 'Tolerance Width', group: 'bacteria', min: 0.2, max: 3, step: 0.2 },
+  { key: 'plasmidFraction', label: 'Initial Plasmid Carriers', group: 'bacteria', min: 0, max: 1, step: 0.1 },
+  { key: 'initialPopulation', label: 'Initial Population', group: 'simulation', min: 10, max: 200, step: 10 }
+];
+
+/**
+ * Outcome metrics shown in the results table and heatmap
+ */
+export const EXPERIMENT_METRICS = [
+  { key: 'finalPopulation', label: 'Final Population' },
+  { key: 'extinctionProbability', label: 'Extinction Probability' },
+  { key: 'meanResistance', label: 'Mean Resistance' }
+];
+
+/**
+ * Look up a sweepable parameter definition
+ * @param {string} key - Parameter key
+ * @returns {Object|undefined} - Parameter definition
+ */
+export const getSweepParameter = (key) => {
+  return SWEEP_PARAMETERS.find(parameter => parameter.key === key);
+};
+
+/**
+ * Most values one sweep axis can take, so a tiny step cannot queue millions of runs
+ */
+export const MAX_SWEEP_VALUES = 100;
+
+/**
+ * Generate evenly spaced values for a sweep axis
+ * @param {number} from - First value
+ * @param {number} to - Last value (inclusive)
+ * @param {number} step - Distance between values
+ * @returns {Array<number>} - Sweep values, at most MAX_SWEEP_VALUES of them starting from the first
+ */
+export const rangeValues = (from, to, step) => {
+  if (!(step > 0) || to < from) return [from];
+
+  const values = [];
+  const count = Math.min(Math.floor((to - from) / step + 1e-9), MAX_SWEEP_VALUES - 1);
+
+  for (let i = 0; i <= count; i++) {
+    // Round away floating point drift so values display and compare cleanly
+    values.push(Number((from + i * step).toFixed(6)));
+  }
+
+  return values;
+};
+
+/**
+ * Get the distinct values a bacteria trait takes across the bacteria presets
+ * @param {string} trait - Trait name
+ * @returns {Array<number>} - Sorted distinct values
+ */
+export const presetValues = (trait) => {
+  const values = Object.keys(BACTERIA_PRESETS)
+    .map(preset => getBacteriaPreset(preset)[trait])
+    .filter(value => value !== undefined);
+  return [...new Set(values)].sort((a, b) => a - b);
+};
+
+/**
+ * Build the list of runs needed for an experiment
+ * @param {Object} config - Experiment configuration
+ * @param {Array<Object>} config.axes - One or two sweep axes ({ parameter, values })
+ * @param {number} config.replicates - Runs per parameter combination
+ * @param {number} config.generations - Generation limit of each run
+ * @param {Object} config.environmentParams - Base environment parameters
+ * @param {Object} config.bacteriaParams - Base bacteria parameters
+ * @param {number} config.initialPopulation - Base initial population
+ * @param {number} config.seed - Base seed; each run uses a distinct seed derived from it
+ * @returns {Object} - Grid cells and the jobs to run
+ */
+export const buildExperiment = (config) => {
+  const { axes, replicates, generations, environmentParams, bacteriaParams, initialPopulation, seed } = config;
+
+  // Cartesian product of the axis values
+  let combinations = [[]];
+  for (const axis of axes) {
+    combinations = combinations.flatMap(values => axis.values.map(value => [...values, value]));
+  }
+
+  const cells = combinations.map((values, index) => ({ index, values }));
+  const jobs = [];
+
+  for (const cell of cells) {
+    const options = {
+      environmentParams: { ...environmentParams },
+      initialBacteriaParams: { ...bacteriaParams },
+      initialPopulation
+    };
+
+    axes.forEach((axis, i) => {
+      const { key, group } = getSweepParameter(axis.parameter);
+      if (group === 'environment') options.environmentParams[key] = cell.values[i];
+      else if (group === 'bacteria') options.initialBacteriaParams[key] = cell.values[i];
+      else options[key] = cell.values[i];
+    });
+
+    for (let replicate = 0; replicate < replicates; replicate++) {
+      jobs.push({
+        id: jobs.length,
+        cellIndex: cell.index,
+        replicate,
+        generations,
+        simulationOptions: { ...options, seed: (seed + jobs.length) >>> 0 }
+      });
+    }
+  }
+
+  return { cells, jobs };
+};
+
+/**
+ * Summarize the outcome of one finished run
+ * @param {Simulation} simulation - Simulation after the run
+ * @returns {Object} - Final generation, population, extinction flag and mean resistance
+ */
+export const summarizeRun = (simulation) => {
+  const population = simulation.bacteria.length;
+  const meanResistance = population > 0
+    ? simulation.bacteria.reduce((sum, bacterium) => sum + bacterium.resistance, 0) / population
+    : null;
+
+  return {
+    generation: simulation.environment.generation,
+    finalPopulation: population,
+    extinct: population === 0,
+    meanResistance
+  };
+};
+
+/**
+ * Aggregate replicate results into per-cell estimates with 95% confidence intervals
+ * @param {Array<Object>} cells - Grid cells from buildExperiment
+ * @param {Array<Object>} results - Run results ({ cellIndex, ...summarizeRun })
+ * @returns {Array<Object>} - Per-cell estimates for every metric
+ */
+export const aggregateResults = (cells, results) => {
+  return cells.map(cell => {
+    const runs = results.filter(result => result.cellIndex === cell.index);
+    const extinctions = runs.filter(run => run.extinct).length;
+    const resistances = runs.filter(run => run.meanResistance !== null).map(run => run.meanResistance);
+
+    return {
+      ...cell,
+      runs: runs.length,
+      finalPopulation: meanConfidenceInterval(runs.map(run => run.finalPopulation)),
+      extinctionProbability: runs.length > 0
+        ? { mean: extinctions / runs.length, ...wilsonInterval(extinctions, runs.length) }
+        : null,
+      meanResistance: meanConfidenceInterval(resistances)
+    };
+  });
+};
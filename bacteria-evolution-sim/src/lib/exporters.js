@@ -0,0 +1,88 @@
+import { HERITABLE_TRAITS } from './Bacterium.js';
+
+/**
+ * Convert a genealogy to a Newick tree with branch lengths in generations.
+ *
+ * Division is asexual, so a lineage continues after each birth: a node with
+ * children branching off at generations t1 < t2 < ... splits at t1 into the
+ * first child and its own continuation, which splits again at t2, and so on.
+ * A child branches off at its birth, or earlier when collapsed ancestors
+ * stand between it and its parent (see Genealogy). Living
+ * bacteria are the tips, labelled with their id and ending at the current
+ * generation. Founders are joined at an unlabelled root.
+ * @param {Array<Object>} nodes - Genealogy nodes (see Genealogy.getNodes)
+ * @param {number} generation - Current generation
+ * @returns {string} - Newick tree terminated by a semicolon
+ */
+export const genealogyToNewick = (nodes, generation) => {
+  const ids = new Set(nodes.map(node => node.id));
+  const children = new Map();
+  const roots = [];
+
+  for (const node of nodes) {
+    if (ids.has(node.parentId)) {
+      if (!children.has(node.parentId)) children.set(node.parentId, []);
+      children.get(node.parentId).push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  // Build the clade of a lineage: its Newick text and the generation of its root point
+  const buildClade = (node) => {
+    let clade = node.alive ? { text: String(node.id), generation } : null;
+
+    // Attach children from the latest branch back to the earliest
+    const nodeChildren = [...(children.get(node.id) || [])]
+      .sort((a, b) => b.branchGeneration - a.branchGeneration);
+
+    for (const child of nodeChildren) {
+      const childClade = buildClade(child);
+      const split = child.branchGeneration;
+
+      // A dead lineage with no later offspring simply continues as this child
+      clade = clade
+        ? {
+          text: `(${childClade.text}:${childClade.generation - split},${clade.text}:${clade.generation - split})`,
+          generation: split
+        }
+        : childClade;
+    }
+
+    return clade;
+  };
+
+  const clades = roots
+    .sort((a, b) => a.birthGeneration - b.birthGeneration)
+    .map(root => ({ root, clade: buildClade(root) }))
+    .filter(({ clade }) => clade !== null);
+
+  if (clades.length === 0) return ';';
+
+  const start = Math.min(...clades.map(({ root }) => root.birthGeneration));
+  const branches = clades.map(({ clade }) => `${clade.text}:${clade.generation - start}`);
+
+  return `(${branches.join(',')});`;
+};
+
+/**
+ * Convert the living population to a CSV table with one row per bacterium
+ * @param {Array<Bacterium>} bacteria - Living bacteria
+ * @returns {string} - CSV with a header row
+ */
+export const populationToCSV = (bacteria) => {
+  const header = ['id', 'parentId', ...HERITABLE_TRAITS, 'plasmid', 'age', 'energy', 'x', 'y'];
+
+  const rows = bacteria.map(bacterium => [
+    bacterium.id,
+    bacterium.parentId ?? '',
+    ...HERITABLE_TRAITS.map(trait => bacterium[trait]),
+    bacterium.plasmid ? 1 : 0,
+    bacterium.age,
+    bacterium.energy,
+    bacterium.x,
+    bacterium.y
+  ]);
+
+  return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+};
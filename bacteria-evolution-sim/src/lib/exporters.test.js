@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Genealogy from './Genealogy.js';
+import { genealogyToNewick } from './exporters.js';
+
+/**
+ * Build a genealogy from births
+ * @param {Array<Array<number>>} births - Births as [id, parentId, birthGeneration]
+ * @returns {Genealogy} - Genealogy holding them
+ */
+const buildGenealogy = (births) => {
+  const genealogy = new Genealogy();
+  for (const [id, parentId, birthGeneration] of births) {
+    genealogy.addBirth({ id, parentId, birthGeneration, mutations: [] });
+  }
+  return genealogy;
+};
+
+test('exports a genealogy with branch lengths in generations', () => {
+  const genealogy = buildGenealogy([[1, null, 0], [2, 1, 10], [3, 1, 50], [4, 2, 40]]);
+
+  assert.equal(genealogyToNewick(genealogy.getNodes(), 100), '(((4:60,2:60):30,(3:50,1:50):40):10);');
+});
+
+test('keeps branch points after an intermediate ancestor is collapsed', () => {
+  const genealogy = buildGenealogy([[1, null, 0], [2, 1, 10], [3, 1, 50], [4, 2, 40]]);
+
+  // 2 dies leaving a single child, so it is merged into 4, which still branched off the founder at 10
+  genealogy.recordDeath(2, 60);
+  const expected = '((4:90,(3:50,1:50):40):10);';
+
+  assert.equal(genealogyToNewick(genealogy.getNodes(), 100), expected);
+  assert.equal(genealogyToNewick(Genealogy.fromJSON(genealogy.toJSON()).getNodes(), 100), expected);
+});
@@ -0,0 +1,214 @@
+import Random from './Random.js';
+import { clamp } from './utils.js';
+
+/**
+ * Spatial patterns a field can be generated with
+ */
+export const FIELD_PATTERNS = [
+  { value: 'noise', label: 'Smooth noise' },
+  { value: 'radial', label: 'Radial gradient' },
+  { value: 'linear', label: 'Linear gradient' },
+  { value: 'stripes', label: 'Stripes' },
+  { value: 'patches', label: 'Random patches' },
+  { value: 'uniform', label: 'Uniform' }
+];
+
+// Level inside and between patches, relative to the field's base level
+const PATCH_LEVEL = 2.5;
+const PATCH_BACKGROUND = 0.5;
+
+// Relative level of a white pixel in an image map (mid grey is the base level)
+const MAP_WHITE_LEVEL = 2;
+
+/**
+ * Smooth interpolation weight with zero slope at both ends
+ * @param {number} t - Position between two lattice points (0-1)
+ * @returns {number} - Weight (0-1)
+ */
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+/**
+ * Build one octave of value noise: random values on a lattice, smoothly interpolated
+ * @param {Random} rng - Random number generator
+ * @param {number} width - Width of the area
+ * @param {number} height - Height of the area
+ * @param {number} spacing - Distance between lattice points
+ * @returns {Function} - Noise value (0-1) at a position
+ */
+const createValueNoise = (rng, width, height, spacing) => {
+  const latticeColumns = Math.ceil(width / spacing) + 2;
+  const latticeRows = Math.ceil(height / spacing) + 2;
+  const lattice = new Float32Array(latticeColumns * latticeRows);
+
+  for (let i = 0; i < lattice.length; i++) {
+    lattice[i] = rng.next();
+  }
+
+  return (x, y) => {
+    const u = x / spacing;
+    const v = y / spacing;
+    const x0 = Math.floor(u);
+    const y0 = Math.floor(v);
+    const tx = smoothstep(u - x0);
+    const ty = smoothstep(v - y0);
+    const at = (column, row) => lattice[column * latticeRows + row];
+
+    const top = at(x0, y0) * (1 - tx) + at(x0 + 1, y0) * tx;
+    const bottom = at(x0, y0 + 1) * (1 - tx) + at(x0 + 1, y0 + 1) * tx;
+
+    return top * (1 - ty) + bottom * ty;
+  };
+};
+
+/**
+ * Generate relative levels for a field grid following a spatial pattern.
+ *
+ * Levels are multipliers of the field's base level, so 1 is the base level
+ * and 0 is none. Noise sums octaves of value noise, each half the feature size
+ * and amplitude of the previous one, for smooth blobs with finer detail.
+ * Gradients rise from 0 to twice the base level, towards the centre (radial) or
+ * from left to right (linear). Stripes alternate rich and poor vertical bands,
+ * and patches scatter rich discs over a poor background.
+ * @param {Object} options - Generation options
+ * @param {string} options.pattern - Pattern to generate (see FIELD_PATTERNS)
+ * @param {number} options.width - Width of the environment
+ * @param {number} options.height - Height of the environment
+ * @param {number} options.columns - Number of cells along the x axis
+ * @param {number} options.rows - Number of cells along the y axis
+ * @param {number} options.scale - Feature size in pixels (noise blobs, stripe width, patch diameter)
+ * @param {number} options.octaves - Number of noise octaves
+ * @param {Random} options.rng - Random number generator the pattern is drawn from
+ * @returns {Float32Array} - Relative level per cell (column-major)
+ */
+export const generateField = (options) => {
+  const {
+    pattern = 'noise',
+    width,
+    height,
+    columns,
+    rows,
+    scale = 200,
+    octaves = 3,
+    rng = new Random()
+  } = options;
+  const levels = new Float32Array(columns * rows);
+  const cellWidth = width / columns;
+  const cellHeight = height / rows;
+
+  let levelAt;
+
+  switch (pattern) {
+    case 'noise': {
+      const layers = [];
+      let amplitude = 1;
+      let totalAmplitude = 0;
+
+      for (let octave = 0; octave < octaves; octave++) {
+        layers.push({ noise: createValueNoise(rng, width, height, scale / 2 ** octave), amplitude });
+        totalAmplitude += amplitude;
+        amplitude /= 2;
+      }
+
+      levelAt = (x, y) => {
+        let sum = 0;
+        for (const { noise, amplitude: weight } of layers) {
+          sum += noise(x, y) * weight;
+        }
+
+        // Summed octaves bunch around the middle, so stretch them back over the full range
+        return clamp(1 + (sum / totalAmplitude - 0.5) * 3, 0, 2);
+      };
+      break;
+    }
+    case 'radial': {
+      const maxDistance = Math.hypot(width / 2, height / 2);
+      levelAt = (x, y) => 2 * (1 - Math.hypot(x - width / 2, y - height / 2) / maxDistance);
+      break;
+    }
+    case 'linear':
+      levelAt = (x) => 2 * (x / width);
+      break;
+    case 'stripes':
+      levelAt = (x) => (Math.floor(x / scale) % 2 === 0 ? 1.8 : 0.2);
+      break;
+    case 'patches': {
+      // Enough patches to cover roughly a quarter of the area
+      const count = Math.max(1, Math.round((width * height) / (scale * scale) / 3));
+      const patches = Array.from({ length: count }, () => ({
+        x: rng.next() * width,
+        y: rng.next() * height,
+        radius: (scale / 2) * rng.range(0.5, 1.5)
+      }));
+
+      levelAt = (x, y) => {
+        let level = PATCH_BACKGROUND;
+        for (const patch of patches) {
+          const distance = Math.hypot(x - patch.x, y - patch.y);
+          if (distance < patch.radius) {
+            // Soft edges so patches are surrounded by a gradient bacteria can follow
+            level = Math.max(level, PATCH_BACKGROUND + (PATCH_LEVEL - PATCH_BACKGROUND) * smoothstep(1 - distance / patch.radius));
+          }
+        }
+        return level;
+      };
+      break;
+    }
+    default:
+      levelAt = () => 1;
+  }
+
+  // Sample the pattern at each cell centre
+  for (let x = 0; x < columns; x++) {
+    for (let y = 0; y < rows; y++) {
+      levels[x * rows + y] = levelAt((x + 0.5) * cellWidth, (y + 0.5) * cellHeight);
+    }
+  }
+
+  return levels;
+};
+
+/**
+ * Resample an image map to relative levels for a field grid.
+ *
+ * Brightness 0 (black) is none of the chemical and 1 (white) is twice the
+ * field's base level, the same range the generated patterns span. Each cell
+ * takes the mean brightness of the pixels inside it, so thin features such as
+ * maze walls are kept as partial levels rather than skipped; when the image is
+ * coarser than the grid the cell takes the pixel under its centre.
+ * @param {Object} map - Image map ({ width, height, levels }, levels 0-1 in row-major order)
+ * @param {number} columns - Number of cells along the x axis
+ * @param {number} rows - Number of cells along the y axis
+ * @returns {Float32Array} - Relative level per cell (column-major)
+ */
+export const sampleFieldMap = (map, columns, rows) => {
+  const levels = new Float32Array(columns * rows);
+  
+  // Range of pixels covering a cell, or the pixel under its centre if none fits inside it
+  const pixelRange = (cell, pixelsPerCell) => {
+    const start = Math.floor(cell * pixelsPerCell);
+    const end = Math.floor((cell + 1) * pixelsPerCell);
+    if (end > start) return [start, end];
+    
+    const centre = Math.floor((cell + 0.5) * pixelsPerCell);
+    return [centre, centre + 1];
+  };
+  
+  for (let x = 0; x < columns; x++) {
+    const [left, right] = pixelRange(x, map.width / columns);
+    
+    for (let y = 0; y < rows; y++) {
+      const [top, bottom] = pixelRange(y, map.height / rows);
+      let sum = 0;
+      
+      for (let px = left; px < right; px++) {
+        for (let py = top; py < bottom; py++) {
+          sum += map.levels[py * map.width + px];
+        }
+      }
+      
+      levels[x * rows + y] = MAP_WHITE_LEVEL * sum / ((right - left) * (bottom - top));
+    }
+  }
+  
+  return levels;
+};
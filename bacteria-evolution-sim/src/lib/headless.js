@@ -0,0 +1,52 @@
+import Simulation from './Simulation.js';
+
+/**
+ * Helpers for running a Simulation without React or a canvas
+ */
+
+/**
+ * Get the statistics recorded for the most recent generation
+ * @param {Simulation} simulation - Simulation to read
+ * @returns {Object} - Generation, population and average traits (null when extinct)
+ */
+export const getGenerationRecord = (simulation) => {
+  const { generation, populationHistory, averageTraits } = simulation.environment.getStatistics();
+  const population = populationHistory.length > 0
+    ? populationHistory[populationHistory.length - 1]
+    : simulation.bacteria.length;
+
+  const record = { generation, population };
+
+  // Averages are only recorded while bacteria are alive
+  for (const trait in averageTraits) {
+    const history = averageTraits[trait];
+    record[trait] = population > 0 && history.length > 0 ? history[history.length - 1] : null;
+  }
+
+  return record;
+};
+
+/**
+ * Run a simulation headlessly for a number of generations
+ * @param {Object} options - Run options
+ * @param {Object} options.simulationOptions - Options passed to the Simulation constructor
+ * @param {number} options.generations - Number of generations to run
+ * @param {Function} options.onGeneration - Called with the record of each generation; returning false stops the run
+ * @returns {Simulation} - The simulation after the run
+ */
+export const runHeadless = ({ simulationOptions = {}, generations = 1000, onGeneration }) => {
+  const simulation = new Simulation(simulationOptions);
+  simulation.start();
+
+  for (let i = 0; i < generations; i++) {
+    simulation.update();
+
+    const record = getGenerationRecord(simulation);
+    if (onGeneration && onGeneration(record) === false) break;
+
+    // Nothing more can happen once the population is extinct
+    if (record.population === 0) break;
+  }
+
+  return simulation;
+};
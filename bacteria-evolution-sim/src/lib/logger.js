@@ -0,0 +1,33 @@
+/**
+ * Diagnostic logging for the simulation core, which can be silenced for
+ * headless runs where stdout carries the results
+ */
+
+let quiet = false;
+let sink = console.log;
+
+/**
+ * Enable or disable quiet mode
+ * @param {boolean} value - Whether to suppress log output
+ */
+export const setQuiet = (value) => {
+  quiet = value;
+};
+
+/**
+ * Choose where log output goes
+ * @param {Function} value - Function receiving the logged values (console.log by default)
+ */
+export const setLogSink = (value) => {
+  sink = value;
+};
+
+/**
+ * Log a diagnostic message unless quiet mode is enabled
+ * @param {...*} args - Values to log
+ */
+export const log = (...args) => {
+  if (!quiet) {
+    sink(...args);
+  }
+};
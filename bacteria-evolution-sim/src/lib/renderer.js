@@ -0,0 +1,479 @@
+import { formatNumber } from './utils.js';
+
+/**
+ * Canvas drawing routines for the compact frames the simulation worker sends,
+ * used by the main-thread canvas and the recorder
+ */
+
+/**
+ * Draw the environment background and its distributions
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} environment - Environment render data (see Environment.getRenderData)
+ * @param {Object} options - Drawing options
+ * @param {boolean} options.showNutrients - Whether to show nutrient distribution
+ * @param {boolean} options.showToxicity - Whether to show toxicity distribution
+ * @param {boolean} options.showAntibiotics - Whether to show antibiotic distribution
+ */
+export const drawEnvironment = (ctx, environment, options = {}) => {
+  const { showNutrients = true, showToxicity = true, showAntibiotics = true } = options;
+  const { width, height } = environment;
+
+  // Clear canvas
+  ctx.clearRect(0, 0, width, height);
+
+  // Draw background
+  ctx.fillStyle = '#f0f0f0';
+  ctx.fillRect(0, 0, width, height);
+
+  if (showNutrients) {
+    drawNutrientDistribution(ctx, environment);
+  }
+
+  if (showToxicity) {
+    drawToxicityDistribution(ctx, environment);
+  }
+
+  if (showAntibiotics) {
+    drawAntibioticDistribution(ctx, environment);
+  }
+
+  drawWalls(ctx, environment);
+};
+
+// Canvas the field grids are painted into at one pixel per cell before being scaled up
+let fieldCanvas = null;
+
+/**
+ * Draw a field grid as a single colour with varying opacity, smoothly scaled to the arena
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} grid - Field render data (see Field.getRenderData)
+ * @param {number} width - Width of the arena
+ * @param {number} height - Height of the arena
+ * @param {Array<number>} rgb - Red, green and blue components (0-255)
+ * @param {Function} opacityAt - Maps a level to an opacity (0-1)
+ */
+const drawFieldImage = (ctx, grid, width, height, rgb, opacityAt) => {
+  const { values, columns, rows } = grid;
+
+  if (!fieldCanvas || fieldCanvas.width !== columns || fieldCanvas.height !== rows) {
+    fieldCanvas = new OffscreenCanvas(columns, rows);
+  }
+
+  const fieldCtx = fieldCanvas.getContext('2d');
+  const image = fieldCtx.createImageData(columns, rows);
+
+  for (let x = 0; x < columns; x++) {
+    for (let y = 0; y < rows; y++) {
+      const pixel = (y * columns + x) * 4;
+      image.data[pixel] = rgb[0];
+      image.data[pixel + 1] = rgb[1];
+      image.data[pixel + 2] = rgb[2];
+      image.data[pixel + 3] = opacityAt(values[x * rows + y]) * 255;
+    }
+  }
+
+  fieldCtx.putImageData(image, 0, 0);
+
+  // Smoothing interpolates between cell centres, matching how the simulation samples the fields
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(fieldCanvas, 0, 0, width, height);
+};
+
+/**
+ * Draw nutrient distribution on canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} environment - Environment render data
+ */
+const drawNutrientDistribution = (ctx, environment) => {
+  // Draw nutrient level as green with varying opacity
+  drawFieldImage(ctx, environment.nutrientGrid, environment.width, environment.height, [0, 128, 0], (level) => (
+    (level / (environment.nutrients * 2)) * 0.3
+  ));
+};
+
+/**
+ * Draw toxicity distribution on canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} environment - Environment render data
+ */
+const drawToxicityDistribution = (ctx, environment) => {
+  // Draw toxicity level as red with varying opacity
+  drawFieldImage(ctx, environment.toxicityGrid, environment.width, environment.height, [255, 0, 0], (level) => {
+    // Secreted toxins can appear even when the background toxicity is zero
+    const normalizedLevel = level / (Math.max(environment.toxicity, 0.1) * 3);
+    return normalizedLevel > 0.1 ? normalizedLevel * 0.3 : 0;
+  });
+};
+
+/**
+ * Draw antibiotic distribution on canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} environment - Environment render data
+ */
+const drawAntibioticDistribution = (ctx, environment) => {
+  // Draw antibiotic level as blue with varying opacity
+  drawFieldImage(ctx, environment.antibioticGrid, environment.width, environment.height, [0, 64, 255], (level) => {
+    // Painted doses can appear even when the dosed level is zero
+    const normalizedLevel = level / (Math.max(environment.antibiotics, 0.1) * 3);
+    return normalizedLevel > 0.1 ? normalizedLevel * 0.3 : 0;
+  });
+};
+
+/**
+ * Draw walls as solid cells
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} environment - Environment render data
+ */
+const drawWalls = (ctx, environment) => {
+  const { walls } = environment;
+  const { rows, cellWidth, cellHeight } = environment.nutrientGrid;
+
+  ctx.fillStyle = '#555555';
+  for (let index = 0; index < walls.length; index++) {
+    if (!walls[index]) continue;
+
+    const x = Math.floor(index / rows);
+    const y = index % rows;
+    ctx.fillRect(x * cellWidth, y * cellHeight, cellWidth, cellHeight);
+  }
+};
+
+/**
+ * Draw a single bacterium
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {number} size - Radius
+ * @param {number} vx - X velocity
+ * @param {number} vy - Y velocity
+ * @param {string} color - CSS fill color
+ */
+export const drawBacterium = (ctx, x, y, size, vx, vy, color) => {
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(x, y, size, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Draw direction indicator
+  const dirX = x + vx * size;
+  const dirY = y + vy * size;
+
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(dirX, dirY);
+  ctx.stroke();
+};
+
+/**
+ * Set the canvas transform so world coordinates are drawn through a camera
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} camera - World position at the centre of the view and the zoom factor ({ x, y, zoom })
+ */
+export const applyCamera = (ctx, camera) => {
+  const { width, height } = ctx.canvas;
+  const { x, y, zoom } = camera;
+
+  ctx.setTransform(zoom, 0, 0, zoom, width / 2 - x * zoom, height / 2 - y * zoom);
+};
+
+// Width of the mini-map overlay and its margin from the canvas corner (in screen pixels)
+const MINI_MAP_WIDTH = 160;
+const MINI_MAP_MARGIN = 10;
+
+/**
+ * Draw a mini-map of the whole arena with the camera's view outlined, in the bottom right corner
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (untransformed)
+ * @param {Object} frame - Frame produced by Simulation.getFrame
+ * @param {Object} camera - Camera the main view is drawn through
+ */
+const drawMiniMap = (ctx, frame, camera) => {
+  const { width: viewWidth, height: viewHeight } = ctx.canvas;
+  const { width, height } = frame.environment;
+  const scale = MINI_MAP_WIDTH / width;
+  const mapHeight = height * scale;
+  const left = viewWidth - MINI_MAP_WIDTH - MINI_MAP_MARGIN;
+  const top = viewHeight - mapHeight - MINI_MAP_MARGIN;
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.fillRect(left, top, MINI_MAP_WIDTH, mapHeight);
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
+  ctx.strokeRect(left, top, MINI_MAP_WIDTH, mapHeight);
+
+  // Bacteria as dots
+  const { count, positions } = frame;
+  ctx.fillStyle = 'rgba(0, 100, 0, 0.8)';
+  for (let i = 0; i < count; i++) {
+    ctx.fillRect(left + positions[i * 2] * scale - 1, top + positions[i * 2 + 1] * scale - 1, 2, 2);
+  }
+
+  // Part of the arena in view, clipped to the map
+  const viewLeft = Math.max(camera.x - viewWidth / 2 / camera.zoom, 0);
+  const viewTop = Math.max(camera.y - viewHeight / 2 / camera.zoom, 0);
+  const viewRight = Math.min(camera.x + viewWidth / 2 / camera.zoom, width);
+  const viewBottom = Math.min(camera.y + viewHeight / 2 / camera.zoom, height);
+
+  ctx.strokeStyle = 'rgba(37, 99, 235, 0.9)';
+  ctx.lineWidth = 1.5;
+  ctx.strokeRect(
+    left + viewLeft * scale,
+    top + viewTop * scale,
+    (viewRight - viewLeft) * scale,
+    (viewBottom - viewTop) * scale
+  );
+  ctx.lineWidth = 1;
+};
+
+// Extra distance (in pixels) around a bacterium that still counts as clicking it
+const HIT_TOLERANCE = 3;
+
+/**
+ * Find the bacterium at a position in a frame
+ * @param {Object} frame - Frame produced by Simulation.getFrame
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number|null} - Id of the closest bacterium whose body covers the position, or null
+ */
+export const findBacteriumAt = (frame, x, y) => {
+  const { count, ids, positions, sizes } = frame;
+  let closest = null;
+  let closestDistance = Infinity;
+
+  for (let i = 0; i < count; i++) {
+    const distance = Math.hypot(positions[i * 2] - x, positions[i * 2 + 1] - y);
+    if (distance <= sizes[i] + HIT_TOLERANCE && distance < closestDistance) {
+      closest = ids[i];
+      closestDistance = distance;
+    }
+  }
+
+  return closest;
+};
+
+/**
+ * Draw a frame received from the simulation worker
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} frame - Frame produced by Simulation.getFrame
+ * @param {Object} options - Drawing options (see drawEnvironment)
+ * @param {Object} options.inspected - Inspected bacterium ({ id, death }), death being its last position once it has died
+ * @param {Object} options.camera - Camera to draw through ({ x, y, zoom }); without one the arena is drawn at 1:1
+ * @param {boolean} options.showLegend - Whether to show the legend of the bacteria's colours
+ * @param {boolean} options.showGeneration - Whether to show a generation counter
+ * @param {boolean} options.showMiniMap - Whether to show the mini-map when part of the arena is out of view
+ */
+export const drawFrame = (ctx, frame, options = {}) => {
+  const { camera = null, showLegend = true, showGeneration = false, showMiniMap = true } = options;
+
+  if (camera) {
+    ctx.save();
+
+    // Area around the arena
+    ctx.fillStyle = '#d4d4d4';
+    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+    applyCamera(ctx, camera);
+  }
+
+  drawEnvironment(ctx, frame.environment, options);
+
+  const { count, positions, velocities, sizes, colors, highlighted } = frame;
+
+  for (let i = 0; i < count; i++) {
+    const color = `rgb(${colors[i * 3]}, ${colors[i * 3 + 1]}, ${colors[i * 3 + 2]})`;
+    
+    // Fade everything outside a highlighted lineage
+    ctx.globalAlpha = highlighted && !highlighted[i] ? 0.2 : 1;
+    drawBacterium(
+      ctx,
+      positions[i * 2],
+      positions[i * 2 + 1],
+      sizes[i],
+      velocities[i * 2],
+      velocities[i * 2 + 1],
+      color
+    );
+  }
+  ctx.globalAlpha = 1;
+
+  if (highlighted) {
+    drawHighlights(ctx, frame);
+  }
+
+  if (options.inspected) {
+    drawInspected(ctx, frame, options.inspected);
+  }
+
+  if (camera) {
+    ctx.restore();
+
+    // The mini-map is only needed when part of the arena is out of view
+    const { width, height } = frame.environment;
+    if (showMiniMap && (ctx.canvas.width / camera.zoom < width - 1 || ctx.canvas.height / camera.zoom < height - 1)) {
+      drawMiniMap(ctx, frame, camera);
+    }
+  }
+
+  if (showLegend && frame.legend) {
+    drawLegend(ctx, frame.legend);
+  }
+
+  if (showGeneration) {
+    drawGenerationCounter(ctx, frame.generation);
+  }
+};
+
+// Size of the legend's colour bar and category swatches, and the legend's margin and padding (in screen pixels)
+const LEGEND_BAR_WIDTH = 160;
+const LEGEND_BAR_HEIGHT = 10;
+const LEGEND_SWATCH_SIZE = 10;
+const LEGEND_MARGIN = 10;
+const LEGEND_PADDING = 8;
+const LEGEND_LINE_HEIGHT = 16;
+
+/**
+ * Draw the legend of the bacteria's colours in the top left corner: a colour bar
+ * with the range of values for a scale, or a swatch per category
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (untransformed)
+ * @param {Object} legend - Legend of the frame ({ label } with { min, max, stops } or { entries })
+ */
+const drawLegend = (ctx, legend) => {
+  const { label, stops, entries } = legend;
+
+  ctx.save();
+  ctx.font = '12px sans-serif';
+  ctx.textBaseline = 'middle';
+
+  // Size the box to its contents
+  let width = ctx.measureText(label).width;
+  let height = LEGEND_LINE_HEIGHT;
+  if (stops) {
+    width = Math.max(width, LEGEND_BAR_WIDTH);
+    height += LEGEND_BAR_HEIGHT + LEGEND_LINE_HEIGHT;
+  } else if (entries) {
+    for (const entry of entries) {
+      width = Math.max(width, LEGEND_SWATCH_SIZE + 6 + ctx.measureText(entry.label).width);
+    }
+    height += entries.length * LEGEND_LINE_HEIGHT;
+  }
+
+  const left = LEGEND_MARGIN + LEGEND_PADDING;
+  let y = LEGEND_MARGIN + LEGEND_PADDING;
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.fillRect(LEGEND_MARGIN, LEGEND_MARGIN, width + LEGEND_PADDING * 2, height + LEGEND_PADDING * 2);
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
+  ctx.strokeRect(LEGEND_MARGIN, LEGEND_MARGIN, width + LEGEND_PADDING * 2, height + LEGEND_PADDING * 2);
+
+  ctx.fillStyle = '#171717';
+  ctx.fillText(label, left, y + LEGEND_LINE_HEIGHT / 2);
+  y += LEGEND_LINE_HEIGHT;
+
+  if (stops) {
+    const gradient = ctx.createLinearGradient(left, 0, left + width, 0);
+    stops.forEach(([r, g, b], i) => gradient.addColorStop(i / (stops.length - 1), `rgb(${r}, ${g}, ${b})`));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(left, y, width, LEGEND_BAR_HEIGHT);
+    y += LEGEND_BAR_HEIGHT;
+
+    // Whole numbers (ages, generations) are shown without decimals
+    const format = (value) => (value === null ? '–' : formatNumber(value, Number.isInteger(value) ? 0 : 2));
+    ctx.fillStyle = '#171717';
+    ctx.textAlign = 'left';
+    ctx.fillText(format(legend.min), left, y + LEGEND_LINE_HEIGHT / 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(format(legend.max), left + width, y + LEGEND_LINE_HEIGHT / 2);
+  } else if (entries) {
+    for (const entry of entries) {
+      const [r, g, b] = entry.color;
+      ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+      ctx.fillRect(left, y + (LEGEND_LINE_HEIGHT - LEGEND_SWATCH_SIZE) / 2, LEGEND_SWATCH_SIZE, LEGEND_SWATCH_SIZE);
+      ctx.fillStyle = '#171717';
+      ctx.fillText(entry.label, left + LEGEND_SWATCH_SIZE + 6, y + LEGEND_LINE_HEIGHT / 2);
+      y += LEGEND_LINE_HEIGHT;
+    }
+  }
+
+  ctx.restore();
+};
+
+/**
+ * Draw the generation number in the bottom left corner
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (untransformed)
+ * @param {number} generation - Generation to show
+ */
+const drawGenerationCounter = (ctx, generation) => {
+  const text = `Generation ${generation}`;
+
+  ctx.save();
+  ctx.font = 'bold 14px sans-serif';
+  ctx.textBaseline = 'bottom';
+
+  const width = ctx.measureText(text).width;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.fillRect(LEGEND_MARGIN, ctx.canvas.height - LEGEND_MARGIN - 24, width + LEGEND_PADDING * 2, 24);
+  ctx.fillStyle = '#171717';
+  ctx.fillText(text, LEGEND_MARGIN + LEGEND_PADDING, ctx.canvas.height - LEGEND_MARGIN - 5);
+
+  ctx.restore();
+};
+
+/**
+ * Mark the inspected bacterium with a ring, or with a cross where it died
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} frame - Frame produced by Simulation.getFrame
+ * @param {Object} inspected - Inspected bacterium ({ id, death })
+ */
+const drawInspected = (ctx, frame, inspected) => {
+  const { count, ids, positions, sizes } = frame;
+
+  ctx.lineWidth = 2;
+
+  for (let i = 0; i < count; i++) {
+    if (ids[i] !== inspected.id) continue;
+
+    ctx.strokeStyle = 'rgba(37, 99, 235, 0.9)';
+    ctx.beginPath();
+    ctx.arc(positions[i * 2], positions[i * 2 + 1], sizes[i] + 5, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.lineWidth = 1;
+    return;
+  }
+
+  if (inspected.death) {
+    const { x, y } = inspected.death;
+    ctx.strokeStyle = 'rgba(220, 38, 38, 0.9)';
+    ctx.beginPath();
+    ctx.moveTo(x - 6, y - 6);
+    ctx.lineTo(x + 6, y + 6);
+    ctx.moveTo(x + 6, y - 6);
+    ctx.lineTo(x - 6, y + 6);
+    ctx.stroke();
+  }
+
+  ctx.lineWidth = 1;
+};
+
+/**
+ * Outline the bacteria flagged as highlighted in a frame
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} frame - Frame produced by Simulation.getFrame
+ */
+const drawHighlights = (ctx, frame) => {
+  const { count, positions, sizes, highlighted } = frame;
+
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.9)';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+
+  for (let i = 0; i < count; i++) {
+    if (!highlighted[i]) continue;
+
+    const x = positions[i * 2];
+    const y = positions[i * 2 + 1];
+    ctx.moveTo(x + sizes[i] + 2, y);
+    ctx.arc(x, y, sizes[i] + 2, 0, Math.PI * 2);
+  }
+
+  ctx.stroke();
+  ctx.lineWidth = 1;
+};
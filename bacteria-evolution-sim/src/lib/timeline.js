@@ -0,0 +1,147 @@
+/**
+ * Environment parameters a timeline can schedule, with their ranges and defaults
+ */
+export const TIMELINE_PARAMETERS = [
+  { value: 'temperature', label: 'Temperature', min: 0, max: 100, step: 1, defaultValue: 50 },
+  { value: 'pH', label: 'pH', min: 0, max: 14, step: 0.1, defaultValue: 7 },
+  { value: 'nutrients', label: 'Nutrients', min: 0, max: 10, step: 0.1, defaultValue: 5 },
+  { value: 'toxicity', label: 'Toxicity', min: 0, max: 1, step: 0.01, defaultValue: 0 },
+  { value: 'antibiotics', label: 'Antibiotics', min: 0, max: 1, step: 0.01, defaultValue: 0 },
+  { value: 'carryingCapacity', label: 'Carrying Capacity', min: 50, max: 500, step: 10, defaultValue: 200 }
+];
+
+/**
+ * Ways a keyframe can be approached from the keyframe before it
+ */
+export const INTERPOLATIONS = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'step', label: 'Step' },
+  { value: 'sine', label: 'Sine' }
+];
+
+/**
+ * An empty timeline
+ */
+export const EMPTY_TIMELINE = { keyframes: [], period: 0, cycles: 0 };
+
+/**
+ * Find the position in the schedule a generation falls on
+ * @param {Object} timeline - Timeline ({ keyframes, period, cycles })
+ * @param {number} generation - Generation
+ * @returns {Object} - Time within the current cycle, whether it is a repeat of an earlier
+ *   cycle and whether every cycle has been played
+ */
+const scheduleTime = (timeline, generation) => {
+  const { period = 0, cycles = 0 } = timeline;
+  if (period <= 0) {
+    return { time: generation, repeated: false, finished: false };
+  }
+
+  const cycle = Math.floor(generation / period);
+  if (cycles > 0 && cycle >= cycles) {
+    return { time: period, repeated: cycles > 1, finished: true };
+  }
+
+  return { time: generation % period, repeated: cycle > 0, finished: false };
+};
+
+/**
+ * Interpolate between two keyframes
+ * @param {Object} from - Keyframe being left ({ generation, value })
+ * @param {Object} to - Keyframe being approached ({ generation, value, interpolation })
+ * @param {number} time - Time between the two keyframes
+ * @returns {number} - Value at that time
+ */
+const interpolate = (from, to, time) => {
+  const t = to.generation > from.generation ? (time - from.generation) / (to.generation - from.generation) : 1;
+
+  switch (to.interpolation) {
+    case 'step':
+      return from.value;
+    case 'sine':
+      // Half a cosine wave: level at both keyframes, steepest between them
+      return from.value + (to.value - from.value) * (1 - Math.cos(Math.PI * t)) / 2;
+    default:
+      return from.value + (to.value - from.value) * t;
+  }
+};
+
+/**
+ * Work out the scheduled value of every parameter at a generation.
+ *
+ * Each parameter's keyframes form a track. Between two keyframes the value moves
+ * from one to the next as the later keyframe's interpolation says: linearly, as a
+ * held step that jumps at the keyframe, or along half a sine wave. A parameter has
+ * no scheduled value before its first keyframe and holds its last keyframe after
+ * it. With a period, the schedule repeats every period generations (forever, or
+ * for the given number of cycles), and each repeat carries on smoothly from the
+ * last keyframe of the previous cycle towards the first, so two keyframes make a
+ * continuous wave and step keyframes make periodic doses. Keyframes at or after
+ * the period are never reached while repeating.
+ * @param {Object} timeline - Timeline ({ keyframes: [{ parameter, generation, value, interpolation }], period, cycles })
+ * @param {number} generation - Generation
+ * @returns {Object} - Scheduled value by parameter, for the parameters that have one
+ */
+export const evaluateTimeline = (timeline, generation) => {
+  const { keyframes = [], period = 0 } = timeline || EMPTY_TIMELINE;
+  const { time, repeated, finished } = scheduleTime(timeline || EMPTY_TIMELINE, generation);
+  const values = {};
+
+  for (const { value: parameter } of TIMELINE_PARAMETERS) {
+    const track = keyframes
+      .filter((keyframe) => keyframe.parameter === parameter && (period <= 0 || keyframe.generation < period))
+      .sort((a, b) => a.generation - b.generation);
+    if (track.length === 0) continue;
+
+    const nextIndex = track.findIndex((keyframe) => keyframe.generation > time);
+    const previous = nextIndex === -1 ? track[track.length - 1] : track[nextIndex - 1];
+    const next = nextIndex === -1 ? null : track[nextIndex];
+
+    if (!previous) {
+      // Before the first keyframe: carry on from the end of the previous cycle, if there was one
+      if (!repeated) continue;
+      const last = track[track.length - 1];
+      values[parameter] = interpolate({ ...last, generation: last.generation - period }, next, time);
+    } else if (next) {
+      values[parameter] = interpolate(previous, next, time);
+    } else if (period > 0 && !finished) {
+      // After the last keyframe of a repeating schedule: head back towards the first
+      values[parameter] = interpolate(previous, { ...track[0], generation: track[0].generation + period }, time);
+    } else {
+      values[parameter] = previous.value;
+    }
+  }
+
+  return values;
+};
+
+/**
+ * List the generations keyframes take effect in a range, repeats included
+ * @param {Object} timeline - Timeline ({ keyframes, period, cycles })
+ * @param {number} fromGeneration - First generation of the range
+ * @param {number} toGeneration - Last generation of the range
+ * @returns {Array<Object>} - Occurrences ({ generation, keyframe }) in order of generation
+ */
+export const getKeyframeOccurrences = (timeline, fromGeneration, toGeneration) => {
+  const { keyframes = [], period = 0, cycles = 0 } = timeline || EMPTY_TIMELINE;
+  const occurrences = [];
+
+  for (const keyframe of keyframes) {
+    if (period <= 0) {
+      if (keyframe.generation >= fromGeneration && keyframe.generation <= toGeneration) {
+        occurrences.push({ generation: keyframe.generation, keyframe });
+      }
+      continue;
+    }
+    if (keyframe.generation >= period) continue;
+
+    const firstCycle = Math.max(0, Math.ceil((fromGeneration - keyframe.generation) / period));
+    for (let cycle = firstCycle; cycles <= 0 || cycle < cycles; cycle++) {
+      const generation = keyframe.generation + cycle * period;
+      if (generation > toGeneration) break;
+      occurrences.push({ generation, keyframe });
+    }
+  }
+
+  return occurrences.sort((a, b) => a.generation - b.generation);
+};
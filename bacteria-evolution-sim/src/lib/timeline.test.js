@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateTimeline, getKeyframeOccurrences } from './timeline.js';
+
+/**
+ * Create a keyframe
+ * @param {string} parameter - Scheduled parameter
+ * @param {number} generation - Generation it takes effect
+ * @param {number} value - Value it sets
+ * @param {string} interpolation - How it is approached from the keyframe before it
+ * @returns {Object} - Keyframe
+ */
+const keyframe = (parameter, generation, value, interpolation = 'linear') => ({ parameter, generation, value, interpolation });
+
+/**
+ * Evaluate one parameter of a timeline at several generations
+ * @param {Object} timeline - Timeline
+ * @param {string} parameter - Parameter to read
+ * @param {Array<number>} generations - Generations to evaluate
+ * @returns {Array<number|undefined>} - Scheduled values
+ */
+const valuesAt = (timeline, parameter, generations) =>
+  generations.map(generation => evaluateTimeline(timeline, generation)[parameter]);
+
+test('a single pass ramps between keyframes and holds the last value', () => {
+  const timeline = {
+    keyframes: [
+      keyframe('temperature', 10, 20),
+      keyframe('temperature', 20, 40),
+      keyframe('pH', 0, 5),
+      keyframe('pH', 10, 9, 'step'),
+      keyframe('nutrients', 0, 0),
+      keyframe('nutrients', 10, 10, 'sine')
+    ],
+    period: 0,
+    cycles: 0
+  };
+
+  assert.deepEqual(valuesAt(timeline, 'temperature', [5, 10, 15, 20, 100]), [undefined, 20, 30, 40, 40]);
+  assert.deepEqual(valuesAt(timeline, 'pH', [0, 9, 10, 11]), [5, 5, 9, 9]);
+  assert.deepEqual(valuesAt(timeline, 'nutrients', [0, 5, 10]).map(value => Number(value.toFixed(6))), [0, 5, 10]);
+  assert.ok(evaluateTimeline(timeline, 2).nutrients < 1, 'a sine ramp starts slowly');
+  assert.equal(evaluateTimeline(timeline, 5).antibiotics, undefined);
+});
+
+test('a repeating two-keyframe wave carries on from the last keyframe to the first', () => {
+  const timeline = {
+    keyframes: [
+      keyframe('temperature', 0, 30, 'sine'),
+      keyframe('temperature', 10, 70, 'sine'),
+      keyframe('temperature', 20, 100)
+    ],
+    period: 20,
+    cycles: 0
+  };
+
+  // The keyframe at the period is never reached, so the wave falls back towards 30
+  assert.deepEqual(
+    valuesAt(timeline, 'temperature', [0, 5, 10, 15, 20, 25, 30, 215]).map(value => Number(value.toFixed(6))),
+    [30, 50, 70, 50, 30, 50, 70, 50]
+  );
+});
+
+test('the first cycle has no earlier cycle to carry on from', () => {
+  const timeline = { keyframes: [keyframe('pH', 5, 6), keyframe('pH', 15, 8)], period: 20, cycles: 0 };
+
+  assert.equal(evaluateTimeline(timeline, 2).pH, undefined);
+  assert.equal(evaluateTimeline(timeline, 15).pH, 8);
+  assert.equal(evaluateTimeline(timeline, 20).pH, 7);
+  assert.equal(evaluateTimeline(timeline, 25).pH, 6);
+});
+
+test('a finite number of cycles doses periodically and then holds the last value', () => {
+  const timeline = {
+    keyframes: [keyframe('antibiotics', 0, 0.5, 'step'), keyframe('antibiotics', 5, 0, 'step')],
+    period: 20,
+    cycles: 2
+  };
+
+  assert.deepEqual(
+    valuesAt(timeline, 'antibiotics', [0, 4, 5, 19, 20, 24, 25, 39, 40, 100]),
+    [0.5, 0.5, 0, 0, 0.5, 0.5, 0, 0, 0, 0]
+  );
+});
+
+test('occurrences are listed in order across a cycle boundary', () => {
+  const dose = keyframe('antibiotics', 0, 0.5, 'step');
+  const clear = keyframe('antibiotics', 5, 0, 'step');
+  const ignored = keyframe('antibiotics', 25, 1);
+  const timeline = { keyframes: [clear, dose, ignored], period: 20, cycles: 2 };
+
+  assert.deepEqual(getKeyframeOccurrences(timeline, 3, 45), [
+    { generation: 5, keyframe: clear },
+    { generation: 20, keyframe: dose },
+    { generation: 25, keyframe: clear }
+  ]);
+  assert.deepEqual(
+    getKeyframeOccurrences({ ...timeline, cycles: 0 }, 18, 41).map(({ generation }) => generation),
+    [20, 25, 40]
+  );
+  assert.deepEqual(
+    getKeyframeOccurrences({ keyframes: [clear, ignored], period: 0, cycles: 0 }, 0, 30).map(({ generation }) => generation),
+    [5, 25]
+  );
+});
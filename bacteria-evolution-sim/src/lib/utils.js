@@ -71,6 +71,50 @@ export const standardDeviation = (values) => {
   return Math.sqrt(average(squareDiffs));
 };
 
+// Two-sided 95% Student's t critical values for 1-30 degrees of freedom
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+/**
+ * Calculate the mean of a sample with its 95% confidence interval
+ * @param {Array<number>} values - Sample values
+ * @returns {Object|null} - Mean, lower and upper bounds (null for an empty sample)
+ */
+export const meanConfidenceInterval = (values) => {
+  if (values.length === 0) return null;
+  
+  const mean = average(values);
+  if (values.length === 1) return { mean, lower: mean, upper: mean };
+  
+  // Sample standard deviation and t critical value for n - 1 degrees of freedom
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  const t = T_CRITICAL_95[values.length - 2] ?? 1.96;
+  const margin = t * Math.sqrt(variance / values.length);
+  
+  return { mean, lower: mean - margin, upper: mean + margin };
+};
+
+/**
+ * Calculate the Wilson score 95% confidence interval of a proportion
+ * @param {number} successes - Number of successes
+ * @param {number} trials - Number of trials
+ * @returns {Object} - Lower and upper bounds
+ */
+export const wilsonInterval = (successes, trials) => {
+  if (trials === 0) return { lower: 0, upper: 1 };
+  
+  const z = 1.96;
+  const p = successes / trials;
+  const denominator = 1 + (z * z) / trials;
+  const center = (p + (z * z) / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials))) / denominator;
+  
+  return { lower: Math.max(0, center - margin), upper: Math.min(1, center + margin) };
+};
+
 /**
  * Format a number with specified precision
  * @param {number} value - Value to format
@@ -102,6 +146,31 @@ export const valueToColor = (value, min, max) => {
   return `hsl(${hue}, 100%, 50%)`;
 };
 
+/**
+ * Convert an HSL color to RGB
+ * @param {number} hue - Hue in degrees
+ * @param {number} saturation - Saturation in percent (clamped to 0-100)
+ * @param {number} lightness - Lightness in percent (clamped to 0-100)
+ * @returns {Array<number>} - Red, green and blue components (0-255)
+ */
+export const hslToRgb = (hue, saturation, lightness) => {
+  const s = clamp(saturation, 0, 100) / 100;
+  const l = clamp(lightness, 0, 100) / 100;
+  const h = ((hue % 360) + 360) % 360;
+  
+  const chroma = (1 - Math.abs(2 * l - 1)) * s;
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    return l - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  
+  return [
+    Math.round(channel(0) * 255),
+    Math.round(channel(8) * 255),
+    Math.round(channel(4) * 255)
+  ];
+};
+
 /**
  * Calculate distance between two points
  * @param {number} x1 - X coordinate of first point
@@ -197,96 +266,219 @@ export const getTraitDistribution = (bacteria, trait, bins = 10) => {
   };
 };
 
+/**
+ * Preset environmental conditions by name
+ */
+export const ENVIRONMENT_PRESETS = {
+  neutral: {
+    temperature: 50,
+    pH: 7,
+    nutrients: 5,
+    toxicity: 0,
+    antibiotics: 0,
+    carryingCapacity: 200,
+    nutrientInflow: 0.01
+  },
+  hot: {
+    temperature: 80,
+    pH: 7,
+    nutrients: 5,
+    toxicity: 0,
+    antibiotics: 0,
+    carryingCapacity: 200,
+    nutrientInflow: 0.01
+  },
+  cold: {
+    temperature: 20,
+    pH: 7,
+    nutrients: 5,
+    toxicity: 0,
+    antibiotics: 0,
+    carryingCapacity: 200,
+    nutrientInflow: 0.01
+  },
+  acidic: {
+    temperature: 50,
+    pH: 3,
+    nutrients: 5,
+    toxicity: 0,
+    antibiotics: 0,
+    carryingCapacity: 200,
+    nutrientInflow: 0.01
+  },
+  alkaline: {
+    temperature: 50,
+    pH: 11,
+    nutrients: 5,
+    toxicity: 0,
+    antibiotics: 0,
+    carryingCapacity: 200,
+    nutrientInflow: 0.01
+  },
+  nutrientRich: {
+    temperature: 50,
+    pH: 7,
+    nutrients: 10,
+    toxicity: 0,
+    antibiotics: 0,
+    carryingCapacity: 300,
+    nutrientInflow: 0.02
+  },
+  nutrientPoor: {
+    temperature: 50,
+    pH: 7,
+    nutrients: 2,
+    toxicity: 0,
+    antibiotics: 0,
+    carryingCapacity: 100,
+    nutrientInflow: 0.005
+  },
+  toxic: {
+    temperature: 50,
+    pH: 7,
+    nutrients: 5,
+    toxicity: 0.5,
+    antibiotics: 0,
+    carryingCapacity: 150,
+    nutrientInflow: 0.01
+  },
+  antibiotic: {
+    temperature: 50,
+    pH: 7,
+    nutrients: 5,
+    toxicity: 0,
+    antibiotics: 0.5,
+    carryingCapacity: 150,
+    nutrientInflow: 0.01
+  },
+  extreme: {
+    temperature: 85,
+    pH: 2,
+    nutrients: 3,
+    toxicity: 0.3,
+    antibiotics: 0.3,
+    carryingCapacity: 100,
+    nutrientInflow: 0.01
+  }
+};
+
 /**
  * Generate preset environmental conditions
  * @param {string} preset - Preset name
  * @returns {Object} - Environmental parameters
  */
 export const getEnvironmentPreset = (preset) => {
-  const presets = {
-    neutral: {
-      temperature: 50,
-      pH: 7,
-      nutrients: 5,
-      toxicity: 0,
-      antibiotics: 0,
-      carryingCapacity: 200
-    },
-    hot: {
-      temperature: 80,
-      pH: 7,
-      nutrients: 5,
-      toxicity: 0,
-      antibiotics: 0,
-      carryingCapacity: 200
-    },
-    cold: {
-      temperature: 20,
-      pH: 7,
-      nutrients: 5,
-      toxicity: 0,
-      antibiotics: 0,
-      carryingCapacity: 200
-    },
-    acidic: {
-      temperature: 50,
-      pH: 3,
-      nutrients: 5,
-      toxicity: 0,
-      antibiotics: 0,
-      carryingCapacity: 200
-    },
-    alkaline: {
-      temperature: 50,
-      pH: 11,
-      nutrients: 5,
-      toxicity: 0,
-      antibiotics: 0,
-      carryingCapacity: 200
-    },
-    nutrientRich: {
-      temperature: 50,
-      pH: 7,
-      nutrients: 10,
-      toxicity: 0,
-      antibiotics: 0,
-      carryingCapacity: 300
-    },
-    nutrientPoor: {
-      temperature: 50,
-      pH: 7,
-      nutrients: 2,
-      toxicity: 0,
-      antibiotics: 0,
-      carryingCapacity: 100
-    },
-    toxic: {
-      temperature: 50,
-      pH: 7,
-      nutrients: 5,
-      toxicity: 0.5,
-      antibiotics: 0,
-      carryingCapacity: 150
-    },
-    antibiotic: {
-      temperature: 50,
-      pH: 7,
-      nutrients: 5,
-      toxicity: 0,
-      antibiotics: 0.5,
-      carryingCapacity: 150
-    },
-    extreme: {
-      temperature: 85,
-      pH: 2,
-      nutrients: 3,
-      toxicity: 0.3,
-      antibiotics: 0.3,
-      carryingCapacity: 100
-    }
-  };
-  
-  return presets[preset] || presets.neutral;
+  return { ...(ENVIRONMENT_PRESETS[preset] || ENVIRONMENT_PRESETS.neutral) };
+};
+
+/**
+ * Preset bacteria parameters by name
+ */
+export const BACTERIA_PRESETS = {
+  balanced: {
+    size: 5,
+    speed: 1,
+    metabolism: 1,
+    resistance: 1,
+    lifespan: 100,
+    mutationRate: 0.1,
+    chemotacticSensitivity: 20,
+    toxinAvoidance: 5,
+    optimalTemperature: 50,
+    optimalPH: 7,
+    toleranceWidth: 1
+  },
+  large: {
+    size: 8,
+    speed: 0.7,
+    metabolism: 1.5,
+    resistance: 1.2,
+    lifespan: 120,
+    mutationRate: 0.08,
+    chemotacticSensitivity: 16,
+    toxinAvoidance: 5,
+    optimalTemperature: 50,
+    optimalPH: 7,
+    toleranceWidth: 1.2
+  },
+  small: {
+    size: 3,
+    speed: 1.3,
+    metabolism: 0.8,
+    resistance: 0.8,
+    lifespan: 80,
+    mutationRate: 0.12,
+    chemotacticSensitivity: 24,
+    toxinAvoidance: 5,
+    optimalTemperature: 50,
+    optimalPH: 7,
+    toleranceWidth: 0.8
+  },
+  fast: {
+    size: 4,
+    speed: 2,
+    metabolism: 1.2,
+    resistance: 0.9,
+    lifespan: 90,
+    mutationRate: 0.1,
+    chemotacticSensitivity: 32,
+    toxinAvoidance: 5,
+    optimalTemperature: 50,
+    optimalPH: 7,
+    toleranceWidth: 1
+  },
+  efficient: {
+    size: 5,
+    speed: 0.8,
+    metabolism: 0.6,
+    resistance: 1.1,
+    lifespan: 130,
+    mutationRate: 0.08,
+    chemotacticSensitivity: 20,
+    toxinAvoidance: 6,
+    optimalTemperature: 50,
+    optimalPH: 7,
+    toleranceWidth: 0.8
+  },
+  resistant: {
+    size: 6,
+    speed: 0.9,
+    metabolism: 1.1,
+    resistance: 2,
+    lifespan: 110,
+    mutationRate: 0.09,
+    chemotacticSensitivity: 16,
+    toxinAvoidance: 3,
+    optimalTemperature: 50,
+    optimalPH: 7,
+    toleranceWidth: 1.5
+  },
+  mutable: {
+    size: 5,
+    speed: 1,
+    metabolism: 1,
+    resistance: 1,
+    lifespan: 100,
+    mutationRate: 0.3,
+    chemotacticSensitivity: 20,
+    toxinAvoidance: 5,
+    optimalTemperature: 50,
+    optimalPH: 7,
+    toleranceWidth: 1
+  },
+  stable: {
+    size: 5,
+    speed: 1,
+    metabolism: 1,
+    resistance: 1,
+    lifespan: 100,
+    mutationRate: 0.03,
+    chemotacticSensitivity: 20,
+    toxinAvoidance: 5,
+    optimalTemperature: 50,
+    optimalPH: 7,
+    toleranceWidth: 1
+  }
 };
 
 /**
@@ -295,76 +487,68 @@ export const getEnvironmentPreset = (preset) => {
  * @returns {Object} - Bacteria parameters
  */
 export const getBacteriaPreset = (preset) => {
-  const presets = {
-    balanced: {
-      size: 5,
-      speed: 1,
-      metabolism: 1,
-      resistance: 1,
-      lifespan: 100,
-      mutationRate: 0.1
-    },
-    large: {
-      size: 8,
-      speed: 0.7,
-      metabolism: 1.5,
-      resistance: 1.2,
-      lifespan: 120,
-      mutationRate: 0.08
-    },
-    small: {
-      size: 3,
-      speed: 1.3,
-      metabolism: 0.8,
-      resistance: 0.8,
-      lifespan: 80,
-      mutationRate: 0.12
-    },
-    fast: {
-      size: 4,
-      speed: 2,
-      metabolism: 1.2,
-      resistance: 0.9,
-      lifespan: 90,
-      mutationRate: 0.1
-    },
-    efficient: {
-      size: 5,
-      speed: 0.8,
-      metabolism: 0.6,
-      resistance: 1.1,
-      lifespan: 130,
-      mutationRate: 0.08
-    },
-    resistant: {
-      size: 6,
-      speed: 0.9,
-      metabolism: 1.1,
-      resistance: 2,
-      lifespan: 110,
-      mutationRate: 0.09
-    },
-    mutable: {
-      size: 5,
-      speed: 1,
-      metabolism: 1,
-      resistance: 1,
-      lifespan: 100,
-      mutationRate: 0.3
-    },
-    stable: {
-      size: 5,
-      speed: 1,
-      metabolism: 1,
-      resistance: 1,
-      lifespan: 100,
-      mutationRate: 0.03
-    }
-  };
+  return { ...(BACTERIA_PRESETS[preset] || BACTERIA_PRESETS.balanced) };
+};
+
+/**
+ * Trigger a browser download of text or binary content
+ * @param {string} filename - Name of the downloaded file
+ * @param {string|Uint8Array} content - File content
+ * @param {string} type - MIME type of the content
+ */
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
   
-  return presets[preset] || presets.balanced;
+  // Revoking straight away can cancel the download in some browsers, so wait until it has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 };
 
+/**
+ * Read an image file into brightness levels per colour channel.
+ * Large images are scaled down so their longer side is at most maxSize pixels,
+ * which is still finer than any field grid and keeps maps small enough for snapshots.
+ * @param {File} file - Image file (any format the browser can decode)
+ * @param {number} maxSize - Largest width or height to keep
+ * @returns {Promise<Object>} - Width, height and red, green, blue and luminance levels (0-1, row-major)
+ */
+export const readImageChannels = async (file, maxSize = 256) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  
+  const { data } = ctx.getImageData(0, 0, width, height);
+  
+  // Three decimals are finer than the 256 steps of the image and keep snapshots compact
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const channels = { width, height, red: [], green: [], blue: [], luminance: [] };
+  
+  for (let i = 0; i < data.length; i += 4) {
+    // Transparent pixels count as black
+    const alpha = data[i + 3] / 255;
+    const red = data[i] / 255 * alpha;
+    const green = data[i + 1] / 255 * alpha;
+    const blue = data[i + 2] / 255 * alpha;
+    
+    channels.red.push(round(red));
+    channels.green.push(round(green));
+    channels.blue.push(round(blue));
+    channels.luminance.push(round(0.299 * red + 0.587 * green + 0.114 * blue));
+  }
+  
+  return channels;
+};
 
 /**
  * Conditionally join class names
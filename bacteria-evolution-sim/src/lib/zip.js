@@ -0,0 +1,89 @@
+/**
+ * Minimal ZIP archive writer. Files are stored uncompressed, which suits
+ * already-compressed content such as PNG images and needs no dependencies.
+ */
+
+// CRC-32 lookup table (polynomial 0xEDB88320)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Calculate the CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Pack files into a ZIP archive
+ * @param {Array<Object>} files - Files to store ({ name, data }, data as a Uint8Array)
+ * @returns {Uint8Array} - Complete archive
+ */
+export const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    // Fields shared by the local and central headers: version, flags (UTF-8 names),
+    // method (stored), time, date, CRC, sizes and name length
+    const common = new DataView(new ArrayBuffer(26));
+    common.setUint16(0, 20, true);
+    common.setUint16(2, 0x0800, true);
+    common.setUint16(4, 0, true);
+    common.setUint16(6, 0, true);
+    common.setUint16(8, 0x21, true); // 1 January 1980, the earliest DOS date
+    common.setUint32(10, crc, true);
+    common.setUint32(14, data.length, true);
+    common.setUint32(18, data.length, true);
+    common.setUint16(22, nameBytes.length, true);
+    common.setUint16(24, 0, true);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    new Uint8Array(local.buffer).set(new Uint8Array(common.buffer), 4);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    new Uint8Array(central.buffer).set(new Uint8Array(common.buffer), 6);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  for (const part of parts) {
+    archive.set(part, position);
+    position += part.length;
+  }
+
+  return archive;
+};
@@ -0,0 +1,33 @@
+import { runHeadless } from '../lib/headless.js';
+import { summarizeRun } from '../lib/experiments.js';
+import { setQuiet } from '../lib/logger.js';
+
+/**
+ * Web Worker that runs experiment jobs headlessly, one at a time.
+ *
+ * Receives { type: 'run', job } and replies { type: 'result', jobId, result }
+ * or { type: 'error', jobId, error }.
+ */
+
+// Per-step diagnostics would flood the console across thousands of runs
+setQuiet(true);
+
+self.onmessage = (event) => {
+  const { type, job } = event.data;
+  if (type !== 'run') return;
+
+  try {
+    const simulation = runHeadless({
+      simulationOptions: job.simulationOptions,
+      generations: job.generations
+    });
+
+    self.postMessage({
+      type: 'result',
+      jobId: job.id,
+      result: { cellIndex: job.cellIndex, replicate: job.replicate, ...summarizeRun(simulation) }
+    });
+  } catch (error) {
+    self.postMessage({ type: 'error', jobId: job.id, error: error.message });
+  }
+};
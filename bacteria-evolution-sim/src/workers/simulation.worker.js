@@ -0,0 +1,218 @@
+import Simulation from '../lib/Simulation.js';
+import { genealogyToNewick, populationToCSV } from '../lib/exporters.js';
+
+/**
+ * Web Worker that owns the Simulation and runs its update loop off the main thread.
+ *
+ * Incoming messages are commands ({ type, ...payload }). Outgoing messages are:
+ * - { type: 'frame', frame } - compact render data, sent after every loop tick
+ * - { type: 'statistics', state } - aggregated statistics, throttled
+ * - { type: 'response', requestId, result | error } - replies to request commands
+ */
+
+// Target rate of the simulation loop and rendering frames
+const FRAME_INTERVAL = 1000 / 30;
+
+// Minimum time between statistics messages (charts do not need 30 updates per second)
+const STATISTICS_INTERVAL = 250;
+
+let simulation = null;
+let highlightedLineage = null;
+let colorMode = {}; // A view setting, so kept when the simulation is replaced
+let inspectedBacterium = null; // Kept after death so its fate can still be shown
+let loopTimer = null;
+let pendingSteps = 0;
+let lastStatisticsTime = 0;
+
+/**
+ * Post the current frame, transferring its typed arrays
+ */
+const postFrame = () => {
+  const frame = simulation.getFrame({ highlightedLineage, colorMode });
+  const transfer = [frame.ids.buffer, frame.positions.buffer, frame.velocities.buffer, frame.sizes.buffer, frame.colors.buffer];
+  if (frame.highlighted) {
+    transfer.push(frame.highlighted.buffer);
+  }
+
+  self.postMessage({ type: 'frame', frame }, transfer);
+};
+
+/**
+ * Post aggregated statistics, unless they were sent recently
+ * @param {boolean} force - Send even if the throttle interval has not elapsed
+ */
+const postStatistics = (force = false) => {
+  const now = performance.now();
+  if (!force && now - lastStatisticsTime < STATISTICS_INTERVAL) return;
+
+  lastStatisticsTime = now;
+  const { running, speed, seed, statistics } = simulation.getState();
+  const inspected = inspectedBacterium ? simulation.describeBacterium(inspectedBacterium) : null;
+  self.postMessage({
+    type: 'statistics',
+    state: { running, speed, seed, statistics, inspected, population: simulation.bacteria.length }
+  });
+};
+
+/**
+ * Post the frame and statistics immediately (used after state changes while paused)
+ */
+const publish = () => {
+  postFrame();
+  postStatistics(true);
+};
+
+/**
+ * Run one tick of the simulation loop
+ */
+const tick = () => {
+  // Speed is steps per tick; fractional speeds accumulate across ticks
+  pendingSteps += simulation.speed;
+  const steps = Math.floor(pendingSteps);
+  pendingSteps -= steps;
+
+  for (let i = 0; i < steps; i++) {
+    simulation.update();
+  }
+
+  postFrame();
+  postStatistics();
+};
+
+/**
+ * Start the simulation loop
+ */
+const startLoop = () => {
+  simulation.start();
+  if (!loopTimer) {
+    loopTimer = setInterval(tick, FRAME_INTERVAL);
+  }
+};
+
+/**
+ * Stop the simulation loop
+ */
+const stopLoop = () => {
+  if (simulation) {
+    simulation.pause();
+  }
+  clearInterval(loopTimer);
+  loopTimer = null;
+  pendingSteps = 0;
+};
+
+/**
+ * Handlers for commands that reply with a result
+ */
+const requests = {
+  saveSnapshot: () => simulation.toJSON(),
+
+  getGenealogy: () => ({
+    generation: simulation.environment.generation,
+    nodes: simulation.genealogy.getNodes()
+  }),
+
+  exportPhylogeny: () => ({
+    seed: simulation.seed,
+    generation: simulation.environment.generation,
+    content: genealogyToNewick(simulation.genealogy.getNodes(), simulation.environment.generation)
+  }),
+
+  exportPopulation: () => ({
+    seed: simulation.seed,
+    generation: simulation.environment.generation,
+    content: populationToCSV(simulation.bacteria)
+  }),
+
+  loadSnapshot: ({ snapshot }) => {
+    const restored = Simulation.fromJSON(snapshot);
+    stopLoop();
+    simulation = restored;
+    highlightedLineage = null;
+    inspectedBacterium = null;
+    publish();
+    return { speed: simulation.speed };
+  }
+};
+
+/**
+ * Handlers for fire-and-forget commands
+ */
+const commands = {
+  init: ({ options }) => {
+    stopLoop();
+    simulation = new Simulation(options);
+    highlightedLineage = null;
+    inspectedBacterium = null;
+    publish();
+  },
+
+  highlightLineage: ({ id }) => {
+    highlightedLineage = id;
+    if (!simulation.running) postFrame();
+  },
+
+  setColorMode: ({ mode }) => {
+    colorMode = mode;
+    if (!simulation.running) postFrame();
+  },
+
+  inspect: ({ id }) => {
+    inspectedBacterium = id === null ? null : simulation.findBacterium(id);
+    if (!simulation.running) postStatistics(true);
+  },
+
+  start: () => {
+    startLoop();
+  },
+
+  pause: () => {
+    stopLoop();
+    publish();
+  },
+
+  setSpeed: ({ speed }) => {
+    simulation.setSpeed(speed);
+  },
+
+  setEnvironmentParameters: ({ params }) => {
+    simulation.setEnvironmentParameters(params);
+    if (!simulation.running) publish();
+  },
+
+  paint: ({ dabs }) => {
+    for (const dab of dabs) {
+      simulation.paint(dab);
+    }
+    if (!simulation.running) postFrame();
+  },
+
+  clearWalls: () => {
+    simulation.clearWalls();
+    if (!simulation.running) postFrame();
+  },
+
+  setInitialBacteriaParameters: ({ params }) => {
+    simulation.setInitialBacteriaParameters(params);
+  },
+
+  setInitialPopulation: ({ population }) => {
+    simulation.setInitialPopulation(population);
+  }
+};
+
+self.onmessage = (event) => {
+  const { type, requestId, ...payload } = event.data;
+
+  if (requests[type]) {
+    try {
+      self.postMessage({ type: 'response', requestId, result: requests[type](payload) });
+    } catch (error) {
+      self.postMessage({ type: 'response', requestId, error: error.message });
+    }
+  } else if (commands[type]) {
+    commands[type](payload);
+  } else {
+    console.error("Unknown simulation worker command:", type);
+  }
+};